@@ -0,0 +1,88 @@
+// routes/documents.js
+import express from "express";
+import multer from "multer";
+import { getOcrProvider } from "../utils/ocrProviders.js";
+import { extractDocument, detectDocumentKind } from "../utils/documentExtract.js";
+import { requireAiUser, meteredOcr, InsufficientCoinsError, DailyLimitError } from "../utils/aiMetering.js";
+import { screenStrings, ContentBlockedError } from "../utils/moderation.js";
+
+const router = express.Router();
+
+// Multer in-memory (homework packs can be large PDFs)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: 10 }, // 25 MB each
+  fileFilter: (req, file, cb) => cb(null, Boolean(detectDocumentKind(file))),
+});
+
+// Status and body for an extraction that stopped part-way
+function failure(err) {
+  if (err instanceof ContentBlockedError) {
+    return [422, { success: false, error: err.message, code: "content_blocked", categories: err.categories }];
+  }
+  if (err instanceof InsufficientCoinsError) {
+    return [402, { success: false, error: err.message, code: "insufficient_coins", ...err.details }];
+  }
+  if (err instanceof DailyLimitError) {
+    return [429, { success: false, error: err.message, code: "daily_limit", ...err.details }];
+  }
+  console.error("Document ingestion error:", err);
+  if (err.message === "OCR unavailable") return [503, { success: false, error: err.message }];
+  return [500, { success: false, error: "Document processing failed" }];
+}
+
+/* --------------------------------
+   Ingest PDF / DOCX / images → text per page
+   (each page that needs OCR is charged as it is read; if reading stops
+   part-way, the error comes back with the pages already read)
+-------------------------------- */
+router.post("/", requireAiUser, upload.array("files", 10), async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) {
+    return res.status(400).json({ success: false, error: "No supported files provided (PDF, DOCX or images)" });
+  }
+
+  const ocrProvider = meteredOcr(getOcrProvider(), req.user?.uid, { path: req.originalUrl });
+  const documents = files.map(file => ({ fileName: file.originalname, kind: detectDocumentKind(file), pages: [] }));
+
+  let stopped = null;
+  try {
+    for (const [i, file] of files.entries()) {
+      const result = await extractDocument(file, { ocrProvider, onPage: page => documents[i].pages.push(page) });
+      Object.assign(documents[i], result);
+    }
+  } catch (err) {
+    stopped = err;
+  }
+
+  try {
+    // Every page is screened before anything is sent back
+    const { strings, redactions } = await screenStrings(
+      documents.flatMap(d => d.pages.map(p => p.text)),
+      { stage: "ocr", uid: req.user?.uid }
+    );
+    let i = 0;
+    documents.forEach(d => {
+      d.pages = d.pages.map(p => ({ ...p, text: strings[i++] })).filter(p => p.text);
+    });
+
+    const text = documents
+      .flatMap(d => d.pages.map(p => p.text))
+      .join("\n\n");
+
+    if (stopped) {
+      const [status, body] = failure(stopped);
+      return res.status(status).json({ ...body, ...(text && { partial: true, text, documents, redactions }) });
+    }
+    if (!text) {
+      return res.status(422).json({ success: false, error: "No readable text found", documents });
+    }
+
+    res.json({ success: true, text, documents, redactions });
+  } catch (err) {
+    const [status, body] = failure(err);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
@@ -0,0 +1,145 @@
+// routes/flashcards.js
+import express from "express";
+import { generateFlashcards, QuizGenerationError } from "../utils/aiTasks.js";
+import { MAX_FLASHCARDS } from "../utils/flashcardSchema.js";
+import { saveCards, listCards, listDueCards, recordReview, deleteCard } from "../utils/flashcardStore.js";
+import { resolveGrade, endOfDay } from "../utils/spacedRepetition.js";
+import { getJob } from "../utils/documentJobs.js";
+import { fingerprint } from "../utils/resultCache.js";
+import { requireAiUser, runMetered, InsufficientCoinsError, DailyLimitError } from "../utils/aiMetering.js";
+import { screenText, screenValue, originalOffset, ContentBlockedError } from "../utils/moderation.js";
+import { requireSignIn, optionalUser } from "../utils/userAuth.js";
+
+const router = express.Router();
+
+// Signed-in users get their cards saved and scheduled; making a deck is metered (see requireAiUser)
+const requireUser = requireSignIn("Sign in to keep flashcards");
+
+/* --------------------------------
+   Notes (or a finished document job) → deck
+   (charged per five cards, unless the deck already exists)
+-------------------------------- */
+router.post("/", optionalUser, requireAiUser, async (req, res) => {
+  const { jobId, title } = req.body;
+  const count = Math.max(1, Math.min(parseInt(req.body.count || "10", 10) || 10, MAX_FLASHCARDS));
+  let text = String(req.body.text || "").trim();
+  let source = { deckId: null, jobId: null, title: title ? String(title).slice(0, 120) : null };
+
+  try {
+    if (jobId) {
+      const job = await getJob(String(jobId));
+      if (!job) return res.status(404).json({ success: false, error: "Job not found" });
+      if (job.uid && job.uid !== req.user?.uid) return res.status(403).json({ success: false, error: "Not your job" });
+      if (!job.result?.text) return res.status(409).json({ success: false, error: "Job has no text yet" });
+
+      text = job.result.text;
+      source = { ...source, jobId: job.id, title: source.title || job.files.map(f => f.name).join(", ") };
+    }
+    if (!text) return res.status(400).json({ success: false, error: "Provide text or a jobId" });
+
+    source.deckId = source.jobId || `d_${fingerprint(text)}`;
+
+    // The same notes twice give the same deck rather than a second copy
+    if (req.user) {
+      const existing = await listCards(req.user.uid, { deckId: source.deckId });
+      if (existing.length) return res.json({ success: true, deckId: source.deckId, cards: existing, saved: true, existing: true });
+    }
+
+    const uid = req.user?.uid;
+    const notes = await screenText(text, { stage: "flashcards-input", uid });
+    const cards = await runMetered(uid, "flashcards", Math.ceil(count / 5), async () => {
+      const generated = await generateFlashcards(notes.text, count);
+      // Evidence offsets go back onto the notes as sent (the quote stays screened)
+      const placed = generated.map(card => (card.evidence
+        ? { ...card, evidence: { ...card.evidence, start: originalOffset(text, card.evidence.start), end: originalOffset(text, card.evidence.end) } }
+        : card));
+      return (await screenValue(placed, { stage: "flashcards-output", uid })).value;
+    }, { path: req.originalUrl });
+    if (!req.user) return res.json({ success: true, deckId: source.deckId, cards, saved: false });
+
+    const saved = await saveCards(req.user.uid, cards, source);
+    res.status(201).json({ success: true, deckId: source.deckId, cards: saved, saved: true });
+  } catch (err) {
+    if (err instanceof ContentBlockedError) {
+      return res.status(422).json({ success: false, error: err.message, code: "content_blocked", categories: err.categories });
+    }
+    if (err instanceof InsufficientCoinsError) {
+      return res.status(402).json({ success: false, error: err.message, code: "insufficient_coins", ...err.details });
+    }
+    if (err instanceof DailyLimitError) {
+      return res.status(429).json({ success: false, error: err.message, code: "daily_limit", ...err.details });
+    }
+    if (err instanceof QuizGenerationError) {
+      return res.status(502).json({ success: false, error: err.message, problems: err.problems });
+    }
+    console.error("Flashcard generation error:", err);
+    res.status(500).json({ success: false, error: "Could not make flashcards" });
+  }
+});
+
+/* --------------------------------
+   Today's review queue
+   ?tzOffset= minutes (Date#getTimezoneOffset), ?deckId=
+-------------------------------- */
+router.get("/due", optionalUser, requireUser, async (req, res) => {
+  const tzOffset = Number(req.query.tzOffset || 0);
+  if (!Number.isFinite(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+    return res.status(400).json({ success: false, error: "tzOffset must be minutes from UTC" });
+  }
+
+  try {
+    const until = endOfDay(Date.now(), tzOffset);
+    const cards = await listDueCards(req.user.uid, { until, deckId: req.query.deckId });
+    res.json({ success: true, dueUntil: until, count: cards.length, cards });
+  } catch (err) {
+    console.error("Flashcard queue error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+/* --------------------------------
+   All my cards (optionally one deck)
+-------------------------------- */
+router.get("/", optionalUser, requireUser, async (req, res) => {
+  try {
+    res.json({ success: true, cards: await listCards(req.user.uid, { deckId: req.query.deckId }) });
+  } catch (err) {
+    console.error("Flashcard list error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+/* --------------------------------
+   Review a card: { grade: "again" | "hard" | "good" | "easy" | 0–5 }
+-------------------------------- */
+router.post("/:id/review", optionalUser, requireUser, async (req, res) => {
+  let quality;
+  try {
+    quality = resolveGrade(req.body.grade);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const card = await recordReview(req.user.uid, req.params.id, quality);
+    if (!card) return res.status(404).json({ success: false, error: "Card not found" });
+    res.json({ success: true, card });
+  } catch (err) {
+    console.error("Flashcard review error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.delete("/:id", optionalUser, requireUser, async (req, res) => {
+  try {
+    if (!(await deleteCard(req.user.uid, req.params.id))) {
+      return res.status(404).json({ success: false, error: "Card not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Flashcard delete error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+// routes/jobs.js
+import express from "express";
+import multer from "multer";
+import { detectDocumentKind } from "../utils/documentExtract.js";
+import {
+  createJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  resumeJob,
+  jobEvents,
+  checkJobCapacity,
+  JobLimitError,
+} from "../utils/documentJobs.js";
+import { requireSignIn } from "../utils/userAuth.js";
+import { resolveReadingLevel } from "../utils/readability.js";
+import { SIMPLIFY_STYLES, OUTPUT_LANGUAGES } from "../utils/aiTasks.js";
+
+const router = express.Router();
+
+// Multer in-memory (each file stays with the job until its text is read)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: 20 }, // 25 MB each
+  fileFilter: (req, file, cb) => cb(null, Boolean(detectDocumentKind(file))),
+});
+
+// Jobs hold uploads in memory and run OCR, so they are for signed-in users only
+const requireUser = requireSignIn("Sign in to process documents");
+
+// EventSource can't send headers, so SSE also accepts ?token=
+function tokenFromQuery(req, res, next) {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+async function loadOwnedJob(req, res) {
+  const job = await getJob(req.params.id);
+
+  if (!job) {
+    res.status(404).json({ success: false, error: "Job not found" });
+    return null;
+  }
+  if (job.uid !== req.user.uid) {
+    res.status(403).json({ success: false, error: "Not your job" });
+    return null;
+  }
+  return job;
+}
+
+// Turn a full queue away before the upload is read into memory
+function requireCapacity(req, res, next) {
+  try {
+    checkJobCapacity(req.user.uid);
+    next();
+  } catch (err) {
+    res.status(429).json({ success: false, error: err.message });
+  }
+}
+
+/* --------------------------------
+   Submit files → job id
+-------------------------------- */
+router.post("/", requireUser, requireCapacity, upload.array("files", 20), async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) {
+    return res.status(400).json({ success: false, error: "No supported files provided (PDF, DOCX or images)" });
+  }
+
+  const numQuestions = Math.max(0, Math.min(parseInt(req.body.numQuestions || "0", 10) || 0, 20));
+  const simplify = req.body.simplify !== "false";
+  const style = req.body.style || "summary";
+  const language = req.body.language || "en";
+
+  let readingLevel;
+  try {
+    readingLevel = resolveReadingLevel({ level: req.body.level, age: req.body.age, grade: req.body.grade });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  if (!SIMPLIFY_STYLES.includes(style)) {
+    return res.status(400).json({ success: false, error: `style must be one of: ${SIMPLIFY_STYLES.join(", ")}` });
+  }
+  if (!OUTPUT_LANGUAGES[language]) {
+    return res.status(400).json({
+      success: false,
+      error: `language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(", ")}`,
+    });
+  }
+
+  try {
+    const job = await createJob({
+      files,
+      uid: req.user.uid,
+      numQuestions,
+      simplify,
+      readingLevel,
+      style,
+      language,
+    });
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (err) {
+    if (err instanceof JobLimitError) return res.status(429).json({ success: false, error: err.message });
+    console.error("Job create error:", err);
+    res.status(500).json({ success: false, error: "Could not start processing" });
+  }
+});
+
+/* --------------------------------
+   My saved jobs
+-------------------------------- */
+router.get("/", requireUser, async (req, res) => {
+  try {
+    res.json({ success: true, jobs: await listJobs(req.user.uid) });
+  } catch (err) {
+    console.error("Job list error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+/* --------------------------------
+   Poll a job
+-------------------------------- */
+router.get("/:id", requireUser, async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (job) res.json({ success: true, job });
+  } catch (err) {
+    console.error("Job fetch error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+/* --------------------------------
+   Subscribe to progress (Server-Sent Events)
+-------------------------------- */
+router.get("/:id/events", tokenFromQuery, requireUser, async (req, res) => {
+  let job;
+  try {
+    job = await loadOwnedJob(req, res);
+  } catch (err) {
+    console.error("Job fetch error:", err);
+    return res.status(500).json({ success: false, error: "Server error" });
+  }
+  if (!job) return;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, send);
+  };
+
+  function send(snapshot) {
+    res.write(`event: progress\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (["completed", "failed", "cancelled"].includes(snapshot.status)) {
+      res.write(`event: end\ndata: ${JSON.stringify({ status: snapshot.status })}\n\n`);
+      stop();
+      res.end();
+    }
+  }
+
+  jobEvents.on(job.id, send);
+  res.on("close", stop);
+  send(job);
+});
+
+/* --------------------------------
+   Cancel / resume
+-------------------------------- */
+router.post("/:id/cancel", requireUser, async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+    res.json({ success: true, job: cancelJob(job.id) });
+  } catch (err) {
+    res.status(409).json({ success: false, error: err.message });
+  }
+});
+
+router.post("/:id/resume", requireUser, async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+    res.json({ success: true, job: resumeJob(job.id) });
+  } catch (err) {
+    res.status(err instanceof JobLimitError ? 429 : 409).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
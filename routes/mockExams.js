@@ -0,0 +1,135 @@
+// routes/mockExams.js
+import express from "express";
+import { mockExamOptions, buildMockExam, loadQuestionContent, readProgress, MockExamError } from "../utils/mockExam.js";
+import { createSession, getSession, listSessions, advanceSession } from "../utils/mockExamStore.js";
+import { requireSignIn } from "../utils/userAuth.js";
+
+const router = express.Router();
+
+// Sittings are saved per user, so every route needs a signed-in student
+const requireUser = requireSignIn("Sign in to sit a mock exam");
+
+// Everything the exam screen needs. Answers are only included once submitted.
+async function sessionPayload(session) {
+  const { items, passages } = await loadQuestionContent(session.questions);
+  const submitted = session.status === "submitted";
+  return {
+    id: session.id,
+    exam: session.exam,
+    status: session.status,
+    subjects: session.subjects,
+    questions: items.map((item, i) => (submitted ? { ...item, correct: session.questions[i].correct } : item)),
+    passages,
+    answers: session.answers,
+    flagged: session.flagged,
+    current: session.current,
+    durationMs: session.durationMs,
+    remainingMs: session.remainingMs,
+    startedAt: session.startedAt,
+    submittedAt: session.submittedAt,
+    autoSubmitted: session.autoSubmitted,
+    result: session.result,
+  };
+}
+
+// The saved state after a change, without the questions again
+function progressPayload(session) {
+  const { status, answers, flagged, current, remainingMs, submittedAt, autoSubmitted, result } = session;
+  return { id: session.id, status, answers, flagged, current, remainingMs, submittedAt, autoSubmitted, result };
+}
+
+const LATE_ERROR = "Time is up: answers sent after the deadline were not saved";
+
+function sendError(res, err, context) {
+  if (err instanceof MockExamError) return res.status(err.status).json({ success: false, error: err.message });
+  console.error(`Mock exam ${context} error:`, err);
+  res.status(500).json({ success: false, error: "Server error" });
+}
+
+/* --------------------------------
+   Subjects to choose from
+-------------------------------- */
+router.get("/options", requireUser, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await mockExamOptions()) });
+  } catch (err) {
+    sendError(res, err, "options");
+  }
+});
+
+/* --------------------------------
+   New sitting: { subjects: [three subject keys] }
+-------------------------------- */
+router.post("/", requireUser, async (req, res) => {
+  try {
+    const exam = await buildMockExam(req.body.subjects);
+    const session = await createSession(req.user.uid, exam);
+    res.status(201).json({ success: true, session: await sessionPayload(session) });
+  } catch (err) {
+    sendError(res, err, "start");
+  }
+});
+
+/* --------------------------------
+   My sittings, newest first
+-------------------------------- */
+router.get("/", requireUser, async (req, res) => {
+  try {
+    res.json({ success: true, sessions: await listSessions(req.user.uid) });
+  } catch (err) {
+    sendError(res, err, "list");
+  }
+});
+
+/* --------------------------------
+   Open (or resume) a sitting
+-------------------------------- */
+router.get("/:id", requireUser, async (req, res) => {
+  try {
+    const saved = await getSession(req.user.uid, req.params.id);
+    if (!saved) return res.status(404).json({ success: false, error: "Mock exam not found" });
+
+    const session = await advanceSession(req.user.uid, saved);
+    res.json({ success: true, session: await sessionPayload(session) });
+  } catch (err) {
+    sendError(res, err, "load");
+  }
+});
+
+/* --------------------------------
+   Save progress: { answers?, flagged?, current? }
+-------------------------------- */
+router.patch("/:id", requireUser, async (req, res) => {
+  try {
+    const saved = await getSession(req.user.uid, req.params.id);
+    if (!saved) return res.status(404).json({ success: false, error: "Mock exam not found" });
+    if (saved.status !== "in_progress") {
+      return res.status(409).json({ success: false, error: "This mock exam has been submitted", session: progressPayload(saved) });
+    }
+
+    const session = await advanceSession(req.user.uid, saved, readProgress(req.body, saved.questions));
+    if (session.late) return res.status(409).json({ success: false, error: LATE_ERROR, session: progressPayload(session) });
+    res.json({ success: true, session: progressPayload(session) });
+  } catch (err) {
+    sendError(res, err, "save");
+  }
+});
+
+/* --------------------------------
+   Submit: { answers?, flagged?, timedOut? }
+-------------------------------- */
+router.post("/:id/submit", requireUser, async (req, res) => {
+  try {
+    const saved = await getSession(req.user.uid, req.params.id);
+    if (!saved) return res.status(404).json({ success: false, error: "Mock exam not found" });
+
+    const changes = saved.status === "in_progress" ? readProgress(req.body, saved.questions) : {};
+    const session = await advanceSession(req.user.uid, saved, changes, { submit: true, timedOut: req.body.timedOut === true });
+    if (session.late) return res.status(409).json({ success: false, error: LATE_ERROR, session: await sessionPayload(session) });
+    res.json({ success: true, session: await sessionPayload(session) });
+  } catch (err) {
+    sendError(res, err, "submit");
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+// routes/pastQuestions.js
+import express from "express";
+import { getCatalog, filterCatalog, readPastQuestions, EXAMS } from "../utils/pastQuestionCatalog.js";
+
+const router = express.Router();
+
+/* --------------------------------
+   Catalog: ?exam=&year=&subject=&type=&q=
+-------------------------------- */
+router.get("/", async (req, res) => {
+  try {
+    const { entries } = await getCatalog();
+    const matches = filterCatalog(entries, req.query);
+    res.json({
+      success: true,
+      exams: EXAMS.map(({ id, label }) => ({ id, label })),
+      count: matches.length,
+      entries: matches,
+    });
+  } catch (err) {
+    console.error("Past question catalog error:", err);
+    res.status(500).json({ success: false, error: "Could not load past questions" });
+  }
+});
+
+/* --------------------------------
+   One file: its catalog entry and questions
+-------------------------------- */
+router.get("/:id", async (req, res) => {
+  try {
+    const { entries } = await getCatalog();
+    const entry = entries.find(e => e.id.toLowerCase() === req.params.id.toLowerCase());
+    if (!entry) return res.status(404).json({ success: false, error: "Past questions not found" });
+
+    const data = await readPastQuestions(entry);
+    res.json({ success: true, entry, data });
+  } catch (err) {
+    console.error("Past question load error:", err);
+    res.status(500).json({ success: false, error: "Could not load past questions" });
+  }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+// scripts/pastQuestions.js
+// Check and normalize the files in public/past_questions (format: utils/questionSchema.js).
+//
+//   node scripts/pastQuestions.js check [files...]                 report problems; exits 1 on errors
+//   node scripts/pastQuestions.js normalize [--out dir] [files...] write canonical files
+//
+// `normalize` rewrites the files in place (renaming them to their canonical
+// names) unless --out is given. Items that can't be repaired are dropped and
+// reported as errors; everything else that changed is reported as a warning.
+import fs from "fs/promises";
+import path from "path";
+import { PAST_QUESTIONS_DIR } from "../utils/pastQuestionCatalog.js";
+import { normalizeQuestionSet, validateQuestionSet } from "../utils/questionSchema.js";
+
+const USAGE = "Usage: node scripts/pastQuestions.js check|normalize [--out dir] [--quiet] [files...]";
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, out: null, quiet: false, files: [] };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === "--out") options.out = rest[++i];
+    else if (rest[i] === "--quiet") options.quiet = true;
+    else options.files.push(path.basename(rest[i]));
+  }
+  return options;
+}
+
+async function readSet(name) {
+  const text = await fs.readFile(path.join(PAST_QUESTIONS_DIR, name), "utf8");
+  return JSON.parse(text);
+}
+
+function report(name, problems, { quiet, renamedTo } = {}) {
+  const errors = problems.filter(p => p.level === "error");
+  const warnings = problems.filter(p => p.level === "warning");
+  const mark = errors.length ? "❌" : warnings.length ? "⚠️ " : "✅";
+  console.log(`${mark} ${name}${renamedTo && renamedTo !== name ? ` → ${renamedTo}` : ""}`);
+  for (const problem of quiet ? errors : problems) console.log(`     ${problem.level.padEnd(7)} ${problem.message}`);
+  return { errors: errors.length, warnings: warnings.length };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!["check", "normalize"].includes(options.command)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const names = options.files.length
+    ? options.files
+    : (await fs.readdir(PAST_QUESTIONS_DIR)).filter(name => name.endsWith(".json")).sort();
+
+  const totals = { files: 0, errors: 0, warnings: 0 };
+  const outDir = options.out ? path.resolve(options.out) : PAST_QUESTIONS_DIR;
+  if (options.command === "normalize") await fs.mkdir(outDir, { recursive: true });
+
+  for (const name of names) {
+    totals.files++;
+    let data;
+    try {
+      data = await readSet(name);
+    } catch (err) {
+      const counts = report(name, [{ level: "error", message: `can't read: ${err.message}` }]);
+      totals.errors += counts.errors;
+      continue;
+    }
+
+    if (options.command === "check") {
+      const counts = report(name, validateQuestionSet(data, name), options);
+      totals.errors += counts.errors;
+      totals.warnings += counts.warnings;
+      continue;
+    }
+
+    const { fileName, set, problems } = normalizeQuestionSet(data, name);
+    const counts = report(name, problems, { ...options, renamedTo: fileName });
+    totals.errors += counts.errors;
+    totals.warnings += counts.warnings;
+    if (!set) continue;
+
+    // In place: remove the old name first (on case-insensitive disks it is the same file)
+    if (outDir === PAST_QUESTIONS_DIR && fileName !== name) await fs.unlink(path.join(PAST_QUESTIONS_DIR, name));
+    await fs.writeFile(path.join(outDir, fileName), JSON.stringify(set, null, 2) + "\n");
+  }
+
+  console.log(`\n${totals.files} files, ${totals.errors} errors, ${totals.warnings} warnings`);
+  if (options.command === "check" && totals.errors) process.exit(1);
+}
+
+main().catch(err => {
+  console.error("❌", err);
+  process.exit(1);
+});
@@ -5,16 +5,53 @@ import { firestore, auth } from "./config/firebaseAdmin.js";
 import { FieldValue } from "firebase-admin/firestore";
 
 import express from "express";
-import fetch from "node-fetch";
 import path from "path";
 import { fileURLToPath } from "url";
-import fs from "fs";
 import cors from "cors";
-import { ImageAnnotatorClient } from "@google-cloud/vision";
+import { getOcrProvider, OCR_MODES, OCR_LANGUAGES, OcrFixtureMissingError } from "./utils/ocrProviders.js";
+import { preprocessImage, resolvePreprocessOptions } from "./utils/imagePreprocess.js";
+import {
+  extractText,
+  simplifyForReader,
+  SIMPLIFY_STYLES,
+  OUTPUT_LANGUAGES,
+  translateQuiz,
+  generateGroundedQuiz,
+  markAccaAnswer,
+  markAccaPaper,
+  MarkingError,
+  QuizGenerationError,
+} from "./utils/aiTasks.js";
+import { questionKey, saveMark, listMarks } from "./utils/markHistory.js";
+import { normalizeMarkingPoints } from "./utils/markingSchema.js";
+import { gradeTasks } from "./utils/taskGrading.js";
+import { meterAi, getAllowance } from "./utils/aiMetering.js";
+import { requireSignIn, optionalUser } from "./utils/userAuth.js";
+import {
+  getModerationProvider,
+  screenText,
+  screenStrings,
+  screenValue,
+  screenStream,
+  redactPages,
+  originalOffset,
+  ContentBlockedError,
+} from "./utils/moderation.js";
+import { CHUNK_CHARS } from "./utils/textChunks.js";
+import { buildStructuredPages, detectLanguage, DEFAULT_LOW_CONFIDENCE } from "./utils/ocrLayout.js";
+import { getCacheStats } from "./utils/resultCache.js";
+import { resolveQuestionMix } from "./utils/quizSchema.js";
+import { resolveReadingLevel } from "./utils/readability.js";
+import { getLlmProvider, getLlmUsage } from "./utils/llmProviders.js";
 
 // Routes
 import firebasePostsRouter from "./routes/firebasePosts.js";
 import uploadRoutes from "./routes/upload.js";
+import documentsRouter from "./routes/documents.js";
+import jobsRouter from "./routes/jobs.js";
+import flashcardsRouter from "./routes/flashcards.js";
+import pastQuestionsRouter from "./routes/pastQuestions.js";
+import mockExamsRouter from "./routes/mockExams.js";
 
 // -------------------------------------------------------------------
 // App initialization (MUST be first before usage)
@@ -55,6 +92,11 @@ app.use("/api", (req, res, next) => {
 // -------------------------------------------------------------------
 app.use("/firebase-posts", firebasePostsRouter);
 app.use("/api", uploadRoutes);
+app.use("/api/documents", documentsRouter);
+app.use("/api/jobs", jobsRouter);
+app.use("/api/flashcards", flashcardsRouter);
+app.use("/api/past-questions", pastQuestionsRouter);
+app.use("/api/mock-exams", mockExamsRouter);
 
 
 
@@ -63,64 +105,159 @@ app.use("/api", uploadRoutes);
 
 
 // -------------------------------------------------------------------
-// Google Vision Initialization
+// OCR Provider (Google Vision or local, see utils/ocrProviders.js)
 // -------------------------------------------------------------------
-let visionClient;
+const ocrProvider = getOcrProvider();
 
-if (process.env.GOOGLE_CREDENTIALS_JSON) {
+// -------------------------------------------------------------------
+// LLM Provider (OpenAI, local or mock, see utils/llmProviders.js)
+// -------------------------------------------------------------------
+getLlmProvider();
+
+// -------------------------------------------------------------------
+// Moderation (OpenAI moderation API or local rules, see utils/moderation.js)
+// -------------------------------------------------------------------
+getModerationProvider();
+
+function blockedResponse(err) {
+  return { error: err.message, code: "content_blocked", categories: err.categories };
+}
+
+// -------------------------------------------------------------------
+// Metering (GoCoin charges, see utils/aiMetering.js)
+// -------------------------------------------------------------------
+// Units per request: OCR pages, text chunks, groups of five questions, answers marked
+const imagesIn = req => (Array.isArray(req.body.images) ? req.body.images.filter(Boolean).length : 0);
+const chunksIn = req => (typeof req.body.text === "string" ? Math.ceil(req.body.text.length / CHUNK_CHARS) : 0);
+const questionGroupsIn = req => {
+  const { text, types, numQuestions = 5 } = req.body;
+  if (!text) return 0;
+  const count = types && typeof types === "object" && !Array.isArray(types)
+    ? Object.values(types).reduce((sum, n) => sum + (Number(n) || 0), 0)
+    : Number(numQuestions);
+  return Number.isFinite(count) ? Math.ceil(Math.min(count, 20) / 5) : 0;
+};
+const answersIn = req => {
+  const paper = req.body.paper?.questions || req.body.questions;
+  if (Array.isArray(paper)) return Math.min(paper.length, 10);
+  return req.body.question ? 1 : 0;
+};
+
+// Free allowance left today, coin balance and prices
+app.get("/api/ai/allowance", requireSignIn("Sign in to see your AI allowance"), async (req, res) => {
   try {
-    const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
-    visionClient = new ImageAnnotatorClient({ credentials });
-    console.log("✅ Vision client initialized with inline JSON");
+    res.json(await getAllowance(req.user.uid));
   } catch (err) {
-    console.error("❌ Invalid GOOGLE_CREDENTIALS_JSON", err);
-    process.exit(1);
-  }
-} else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-  if (!fs.existsSync(process.env.GOOGLE_APPLICATION_CREDENTIALS)) {
-    console.error("❌ Vision credentials file not found");
-    process.exit(1);
+    console.error("Allowance error:", err);
+    res.status(500).json({ error: "Could not load your allowance" });
   }
-  visionClient = new ImageAnnotatorClient({
-    keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-  });
-  console.log("✅ Vision client initialized with key file");
-} else {
-  console.error("❌ No Google Vision credentials found");
-  process.exit(1);
-}
+});
 
 // -------------------------------------------------------------------
 // OCR Endpoint
 // -------------------------------------------------------------------
-app.post("/api/ocr", async (req, res) => {
-  if (!visionClient) {
-    return res.status(500).json({ error: "Vision API unavailable" });
+app.post("/api/ocr", meterAi("ocr", imagesIn), async (req, res) => {
+  if (!ocrProvider) {
+    return res.status(503).json({ error: "OCR unavailable" });
   }
 
-  const { images } = req.body;
+  const {
+    images,
+    structured = false,
+    confidenceThreshold,
+    preprocess,
+    crops = [],
+    mode = "auto",
+    languageHints = [],
+  } = req.body;
   if (!Array.isArray(images) || !images.length) {
     return res.status(400).json({ error: "No images provided" });
   }
 
+  if (!OCR_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Unknown mode "${mode}". Use: ${OCR_MODES.join(", ")}` });
+  }
+
+  // Accept ["yo", "en"] or "yo,en"
+  const hints = (Array.isArray(languageHints) ? languageHints : String(languageHints).split(","))
+    .map(h => String(h).trim().toLowerCase())
+    .filter(Boolean);
+  const unsupported = hints.find(h => !OCR_LANGUAGES.includes(h));
+  if (unsupported) {
+    return res.status(400).json({
+      error: `Unsupported language hint "${unsupported}". Use: ${OCR_LANGUAGES.join(", ")}`,
+    });
+  }
+
+  const threshold = Number.isFinite(Number(confidenceThreshold))
+    ? Number(confidenceThreshold)
+    : DEFAULT_LOW_CONFIDENCE;
+  const preprocessOptions = resolvePreprocessOptions(preprocess);
+
   try {
     let fullText = "";
+    const pages = [];
+    const preprocessing = [];
 
     const results = await Promise.all(
-      images.map(img => {
+      images.map(async (img, i) => {
         if (!img) return null;
-        const clean = img.includes("base64,") ? img.split("base64,")[1] : img;
-        return visionClient.textDetection({ image: { content: clean } });
+        let clean = img.includes("base64,") ? img.split("base64,")[1] : img;
+
+        if (preprocessOptions) {
+          try {
+            const processed = await preprocessImage(Buffer.from(clean, "base64"), {
+              ...preprocessOptions,
+              crop: crops[i] || preprocessOptions.crop,
+            });
+            clean = processed.buffer.toString("base64");
+            const { buffer, ...report } = processed;
+            preprocessing[i] = report;
+          } catch (err) {
+            // Unreadable by sharp: let the OCR engine try the original bytes
+            console.warn("Image pre-processing skipped:", err.message);
+            preprocessing[i] = { steps: [], error: "Pre-processing failed" };
+          }
+        }
+
+        return ocrProvider.detect(clean, { structured, mode, languageHints: hints });
       })
     );
 
-    results.forEach(r => {
-      if (!r) return;
-      const [annotation] = r;
-      fullText +=
-        annotation.fullTextAnnotation?.text ||
-        annotation.textAnnotations?.[0]?.description ||
-        "";
+    // How each image was read, and the language found in it
+    const detections = results.map(annotation => annotation && {
+      provider: annotation.provider || ocrProvider.name,
+      mode: annotation.mode || (mode === "auto" ? null : mode),
+      language: detectLanguage(annotation),
+      characters: (annotation.fullTextAnnotation?.text || annotation.textAnnotations?.[0]?.description || "").length,
+    });
+
+    // Overall language: the one found in the most text
+    const languageWeights = {};
+    detections.forEach(d => {
+      if (d?.language) languageWeights[d.language.code] = (languageWeights[d.language.code] || 0) + d.characters;
+    });
+    const topLanguage = Object.entries(languageWeights).sort((a, b) => b[1] - a[1])[0]?.[0];
+    const language = topLanguage
+      ? detections.find(d => d?.language?.code === topLanguage).language
+      : null;
+
+    results.forEach(annotation => {
+      if (!annotation) return;
+
+      if (structured && annotation.fullTextAnnotation) {
+        const imagePages = buildStructuredPages(annotation.fullTextAnnotation, {
+          pageOffset: pages.length,
+          threshold,
+        });
+        pages.push(...imagePages);
+        fullText += imagePages.map(p => p.text).join("\n\n");
+      } else {
+        fullText +=
+          annotation.fullTextAnnotation?.text ||
+          annotation.textAnnotations?.[0]?.description ||
+          "";
+      }
       fullText += "\n\n";
     });
 
@@ -128,139 +265,427 @@ app.post("/api/ocr", async (req, res) => {
       return res.status(422).json({ error: "No readable text found" });
     }
 
-    res.json({ text: fullText.trim() });
+    // Uploaded pages are screened before anything is shown
+    const screened = await screenText(fullText.trim(), { stage: "ocr", uid: req.user?.uid });
+
+    const summary = {
+      text: screened.text,
+      redactions: screened.redactions,
+      // The engine(s) that actually read the images (the fallback when it was used)
+      provider: [...new Set(detections.filter(Boolean).map(d => d.provider))].join(", ") || ocrProvider.name,
+      mode,
+      language,
+      detections: detections.map(d => d && { provider: d.provider, mode: d.mode, language: d.language }),
+      preprocessing,
+    };
+
+    if (!structured) {
+      return res.json(summary);
+    }
+
+    const documentPages = Object.keys(screened.redactions).length ? redactPages(pages) : pages;
+    res.json({
+      ...summary,
+      document: {
+        confidenceThreshold: threshold,
+        lowConfidenceWords: documentPages.reduce((sum, p) => sum + p.lowConfidenceWords, 0),
+        pages: documentPages,
+      },
+    });
   } catch (err) {
+    if (err instanceof ContentBlockedError) return res.status(422).json(blockedResponse(err));
+    if (err instanceof OcrFixtureMissingError) {
+      console.error(err.message);
+      return res.status(503).json({ error: "OCR could not read this image" });
+    }
     console.error(err);
     res.status(500).json({ error: "OCR failed" });
   }
 });
 
 // -------------------------------------------------------------------
-// OpenAI Helper (FIXED)
+// Streaming (Server-Sent Events)
 // -------------------------------------------------------------------
-async function callOpenAI(apiKey, messages, max_tokens = 500) {
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      messages,
-      max_tokens,
-    }),
+// The /stream variants answer with `delta` events ({ text }) while the model
+// writes, then one `done` event with the same body as the plain endpoint, or
+// an `error` event. Closing the connection cancels the model request.
+function openEventStream(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
   });
+  res.flushHeaders();
 
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(err);
-  }
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+  // `req` closes once the body is read, so watch the response instead
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
 
-  return response.json();
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (event === "error") res.locals.aiFailed = true; // refunds a metered call
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
 }
 
 // -------------------------------------------------------------------
 // Extract Endpoint
 // -------------------------------------------------------------------
-app.post("/api/extract", async (req, res) => {
+app.post("/api/extract", meterAi("extract", chunksIn), async (req, res) => {
   const { text } = req.body;
   if (!text) return res.status(400).json({ error: "Missing text" });
 
   try {
-    const data = await callOpenAI(process.env.EXTRACT_API_KEY, [
-      { role: "system", content: "Convert this passage into clean readable text." },
-      { role: "user", content: text },
-    ], 600);
+    const input = await screenText(text, { stage: "extract-input", uid: req.user?.uid });
+    const output = await screenText(await extractText(input.text), { stage: "extract-output", uid: req.user?.uid });
+    res.json({ extracted: output.text });
+  } catch (err) {
+    if (err instanceof ContentBlockedError) return res.status(422).json(blockedResponse(err));
+    res.status(500).json({ error: "Extract failed" });
+  }
+});
 
-    res.json({
-      extracted: data.choices?.[0]?.message?.content || "Extraction failed",
+app.post("/api/extract/stream", meterAi("extract", chunksIn), async (req, res) => {
+  const { text } = req.body;
+  if (!text) return res.status(400).json({ error: "Missing text" });
+
+  // Input is screened before the stream opens so a refusal is a plain 422
+  let input;
+  try {
+    input = await screenText(text, { stage: "extract-input", uid: req.user?.uid });
+  } catch (err) {
+    if (err instanceof ContentBlockedError) return res.status(422).json(blockedResponse(err));
+    return res.status(500).json({ error: "Extract failed" });
+  }
+
+  const stream = openEventStream(req, res);
+  const deltas = screenStream(delta => stream.send("delta", { text: delta }));
+  try {
+    const extracted = await extractText(input.text, {
+      signal: stream.signal,
+      onDelta: deltas.onDelta,
     });
+    deltas.flush();
+    const output = await screenText(extracted, { stage: "extract-output", uid: req.user?.uid });
+    stream.send("done", { extracted: output.text });
   } catch (err) {
-    res.status(500).json({ error: "Extract failed" });
+    if (err instanceof ContentBlockedError) stream.send("error", blockedResponse(err));
+    else if (!stream.signal.aborted) stream.send("error", { error: "Extract failed" });
   }
+  stream.end();
 });
 
 // -------------------------------------------------------------------
 // Simplify Endpoint
 // -------------------------------------------------------------------
-app.post("/api/simplify", async (req, res) => {
+// Throws an Error with a user-facing message for an unknown output language
+function readLanguage(language = "en") {
+  if (!OUTPUT_LANGUAGES[language]) {
+    throw new Error(`language must be one of: ${Object.keys(OUTPUT_LANGUAGES).join(", ")}`);
+  }
+  return language;
+}
+
+// Target reader: `level` ("early", "primary", ...), or an `age` / `grade` we map to one.
+// Throws an Error with a user-facing message on bad input.
+function readSimplifyOptions({ level, age, grade, style = "summary", language }) {
+  const readingLevel = resolveReadingLevel({ level, age, grade });
+  if (!SIMPLIFY_STYLES.includes(style)) {
+    throw new Error(`style must be one of: ${SIMPLIFY_STYLES.join(", ")}`);
+  }
+  return { level: readingLevel, style, language: readLanguage(language) };
+}
+
+// Screens the simple version (and its English original) before it is sent
+async function screenSimplified(result, uid) {
+  const { strings } = await screenStrings([result.text, result.english ?? ""], { stage: "simplify-output", uid });
+  return { ...result, text: strings[0], ...(result.english !== undefined && { english: strings[1] }) };
+}
+
+function simplifyResponse(result) {
+  return {
+    simplified: result.text,
+    // English version of a translated result, for side-by-side reading
+    ...(result.english !== undefined && { english: result.english }),
+    language: result.language,
+    readingLevel: result.readingLevel,
+    style: result.style,
+    readability: result.readability,
+    onTarget: result.onTarget,
+    missedBy: result.missedBy,
+    attempts: result.attempts,
+    sections: result.sections,
+  };
+}
+
+app.post("/api/simplify", meterAi("simplify", chunksIn), async (req, res) => {
   const { text } = req.body;
   if (!text) return res.status(400).json({ error: "Missing text" });
 
+  let options;
   try {
-    const data = await callOpenAI(process.env.SUMMARY_API_KEY, [
-      { role: "system", content: "Simplify this for kids." },
-      { role: "user", content: text },
-    ], 500);
+    options = readSimplifyOptions(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    res.json({
-      simplified: data.choices?.[0]?.message?.content || "Simplification failed",
-    });
-  } catch {
+  try {
+    const input = await screenText(text, { stage: "simplify-input", uid: req.user?.uid });
+    const result = await simplifyForReader(input.text, options);
+    if (!result.text) return res.status(502).json({ error: "Simplify failed" });
+    res.json(simplifyResponse(await screenSimplified(result, req.user?.uid)));
+  } catch (err) {
+    if (err instanceof ContentBlockedError) return res.status(422).json(blockedResponse(err));
     res.status(500).json({ error: "Simplify failed" });
   }
 });
 
+app.post("/api/simplify/stream", meterAi("simplify", chunksIn), async (req, res) => {
+  const { text } = req.body;
+  if (!text) return res.status(400).json({ error: "Missing text" });
+
+  let options;
+  try {
+    options = readSimplifyOptions(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // Input is screened before the stream opens so a refusal is a plain 422
+  let input;
+  try {
+    input = await screenText(text, { stage: "simplify-input", uid: req.user?.uid });
+  } catch (err) {
+    if (err instanceof ContentBlockedError) return res.status(422).json(blockedResponse(err));
+    return res.status(500).json({ error: "Simplify failed" });
+  }
+
+  const stream = openEventStream(req, res);
+  const deltas = screenStream(delta => stream.send("delta", { text: delta }));
+  try {
+    const result = await simplifyForReader(input.text, {
+      ...options,
+      signal: stream.signal,
+      onDelta: deltas.onDelta,
+    });
+    deltas.flush();
+    if (result.text) stream.send("done", simplifyResponse(await screenSimplified(result, req.user?.uid)));
+    else stream.send("error", { error: "Simplify failed" });
+  } catch (err) {
+    if (err instanceof ContentBlockedError) stream.send("error", blockedResponse(err));
+    else if (!stream.signal.aborted) stream.send("error", { error: "Simplify failed" });
+  }
+  stream.end();
+});
+
 // -------------------------------------------------------------------
 // Quiz Generator
 // -------------------------------------------------------------------
-app.post("/api/quiz", async (req, res) => {
-  const { text, numQuestions } = req.body;
+// Grounding runs on the screened notes; move evidence offsets back onto the
+// learner's own text (the quoted evidence keeps personal data removed)
+function evidenceInNotes(quiz, notes) {
+  const move = item => (item.evidence
+    ? { ...item, evidence: { ...item.evidence, start: originalOffset(notes, item.evidence.start), end: originalOffset(notes, item.evidence.end) } }
+    : item);
+  return quiz.map(q => (Array.isArray(q.tasks) ? { ...q, tasks: q.tasks.map(move) } : move(q)));
+}
+
+app.post("/api/quiz", meterAi("quiz", questionGroupsIn), async (req, res) => {
+  // `types`: ["mcq", "true_false", ...] shared across numQuestions, or { mcq: 3, written: 2 }
+  // `language`: questions are written in English and then translated (see OUTPUT_LANGUAGES)
+  // `source`: the learner's extracted text; every question is checked against it and
+  // carries `evidence` ({ start, end, text } into `source`). Defaults to `text`.
+  // Questions that can't be found in it are replaced; `shortfall` says how many
+  // of those replacements could not be made.
+  const { text, numQuestions = 5, types, source } = req.body;
   if (!text) return res.status(400).json({ error: "Missing text" });
 
+  const count = Number(numQuestions);
+  if (!types && (!Number.isInteger(count) || count < 1 || count > 20)) {
+    return res.status(400).json({ error: "numQuestions must be a whole number from 1 to 20" });
+  }
+
+  let mix, language;
   try {
-    const data = await callOpenAI(process.env.QUIZ_API_KEY, [
-      {
-        role: "system",
-        content:
-          "Return ONLY valid JSON: {\"quiz\":[{\"question\":\"\",\"options\":[\"A\",\"B\",\"C\",\"D\"],\"correct\":0}]}",
-      },
-      {
-        role: "user",
-        content: `Create ${numQuestions || 5} questions from:\n${text}`,
-      },
-    ], 800);
+    mix = resolveQuestionMix(count, types);
+    language = readLanguage(req.body.language);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    let quiz = [];
-    try {
-      quiz = JSON.parse(data.choices?.[0]?.message?.content || "{}").quiz || [];
-    } catch {}
+  try {
+    const notes = typeof source === "string" && source.trim() ? source : text;
+    const [cleanText, cleanNotes] = (await screenStrings([text, notes], { stage: "quiz-input", uid: req.user?.uid })).strings;
+
+    // Plain MCQ keeps the original response shape
+    const mcqOnly = Object.keys(mix).length === 1 && mix.mcq;
+    const grounded = await generateGroundedQuiz(cleanText, cleanNotes, mix);
+    if (!grounded.quiz.length) {
+      return res.status(502).json({
+        error: "None of the questions could be matched to your notes. Try again.",
+        problems: grounded.dropped.map(q => `not found in the notes: ${q}`),
+      });
+    }
 
-    res.json({ quiz });
-  } catch {
+    const translated = await translateQuiz(evidenceInNotes(grounded.quiz, notes), language);
+    const screened = await screenValue(translated.quiz, { stage: "quiz-output", uid: req.user?.uid });
+    res.json({
+      ...(mcqOnly ? {} : { format: "mtq" }),
+      quiz: screened.value,
+      language: translated.language,
+      dropped: grounded.dropped.length,
+      shortfall: grounded.shortfall,
+    });
+  } catch (err) {
+    if (err instanceof QuizGenerationError) {
+      return res.status(502).json({ error: err.message, problems: err.problems });
+    }
+    if (err instanceof ContentBlockedError) return res.status(422).json(blockedResponse(err));
+    console.error("Quiz error:", err);
     res.status(500).json({ error: "Quiz generation failed" });
   }
 });
 
+// -------------------------------------------------------------------
+// MTQ Grading
+// -------------------------------------------------------------------
+// Body: { tasks: [MTQ task], answers: [answer per task] }
+// → { results: [{ credit, isCorrect, explanation, matched?, missing? }], score, total, percentage }
+app.post("/api/grade-tasks", (req, res) => {
+  const { tasks, answers = [] } = req.body;
+  if (!Array.isArray(tasks) || !tasks.length || !Array.isArray(answers)) {
+    return res.status(400).json({ error: "tasks (non-empty array) and answers (array) are required" });
+  }
+  if (tasks.length > 200) return res.status(400).json({ error: "At most 200 tasks per request" });
+  if (tasks.some(t => !t || typeof t !== "object")) {
+    return res.status(400).json({ error: "Each task must be an object" });
+  }
+
+  res.json(gradeTasks(tasks, answers));
+});
+
 // -------------------------------------------------------------------
 // ACCA Marking
 // -------------------------------------------------------------------
-app.post("/api/mark-acca", async (req, res) => {
-  const { question, userAnswer, modelAnswer, maxScore = 20 } = req.body;
-  if (!question || !userAnswer || !modelAnswer) {
-    return res.status(400).json({ error: "Missing fields" });
+// One question from the body (or from a paper); throws an Error with a user-facing message
+function readMarkingQuestion(body, label = "") {
+  const { questionId, question, userAnswer, modelAnswer, markingPoints, maxScore = 20 } = body || {};
+  if (!question || !userAnswer || (!modelAnswer && !markingPoints)) {
+    throw new Error(`${label}question, userAnswer and modelAnswer (or markingPoints) are required`);
   }
+  const max = Number(maxScore);
+  if (!Number.isInteger(max) || max < 1 || max > 100) {
+    throw new Error(`${label}maxScore must be a whole number from 1 to 100`);
+  }
+  if (markingPoints) {
+    const { problems } = normalizeMarkingPoints(markingPoints, max);
+    if (problems.length) throw new Error(`${label}markingPoints: ${problems.join("; ")}`);
+  }
+  return {
+    questionId: questionKey({ questionId, question }),
+    question: String(question),
+    userAnswer: String(userAnswer),
+    modelAnswer: modelAnswer ? String(modelAnswer) : "",
+    markingPoints,
+    maxScore: max,
+  };
+}
 
+// Saving history must never cost the learner their mark
+async function recordMark(uid, paperId, question, result) {
+  if (!uid || result.error) return false;
   try {
-    const data = await callOpenAI(process.env.SCORE_API_KEY, [
-      {
-        role: "system",
-        content:
-          "You are an ACCA marker. Return ONLY JSON {score,max_score,percentage,feedback}.",
-      },
-      {
-        role: "user",
-        content: `Q:${question}\nMODEL:${modelAnswer}\nSTUDENT:${userAnswer}\nMAX:${maxScore}`,
-      },
-    ], 800);
+    await saveMark(uid, { ...question, paperId, result });
+    return true;
+  } catch (err) {
+    console.error("Mark history save failed:", err);
+    return false;
+  }
+}
+
+// Body: one question { questionId?, question, userAnswer, modelAnswer, markingPoints?, maxScore }
+// or a Section B paper { paper: { id?, questions: [...] } } (or just { questions: [...] }).
+// Signed-in callers get their marks saved; marking itself works without an account
+app.post("/api/mark-acca", optionalUser, meterAi("mark", answersIn), async (req, res) => {
+  const uid = req.user?.uid || null;
+  const paper = req.body.paper || (Array.isArray(req.body.questions) ? { questions: req.body.questions } : null);
+
+  let questions;
+  try {
+    if (paper) {
+      if (!Array.isArray(paper.questions) || !paper.questions.length) {
+        throw new Error("paper.questions must be a non-empty array");
+      }
+      if (paper.questions.length > 10) throw new Error("A paper can have at most 10 questions");
+      questions = paper.questions.map((q, i) => readMarkingQuestion(q, `Question ${i + 1}: `));
+    } else {
+      questions = [readMarkingQuestion(req.body)];
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    if (!paper) {
+      const result = await markAccaAnswer(questions[0]);
+      const saved = await recordMark(uid, null, questions[0], result);
+      return res.json({ questionId: questions[0].questionId, ...result, saved });
+    }
 
-    res.json(JSON.parse(data.choices?.[0]?.message?.content || "{}"));
-  } catch {
+    const paperId = paper.id ? String(paper.id) : null;
+    const marked = await markAccaPaper(questions);
+    const saved = await Promise.all(marked.results.map((result, i) => recordMark(uid, paperId, questions[i], result)));
+    res.json({
+      paperId,
+      ...marked,
+      results: marked.results.map((result, i) => ({ ...result, saved: saved[i] })),
+    });
+  } catch (err) {
+    if (err instanceof MarkingError) {
+      return res.status(502).json({ error: err.message, problems: err.problems });
+    }
+    console.error("Marking error:", err);
     res.status(500).json({ error: "Marking failed" });
   }
 });
 
+// Past marks for the signed-in user, newest first; ?questionId= for one question
+app.get("/api/mark-acca/history", requireSignIn("Sign in to see your marking history"), async (req, res) => {
+  try {
+    const questionId = req.query.questionId ? String(req.query.questionId) : undefined;
+    res.json({ marks: await listMarks(req.user.uid, { questionId }) });
+  } catch (err) {
+    console.error("Mark history error:", err);
+    res.status(500).json({ error: "Could not load marking history" });
+  }
+});
+
+// -------------------------------------------------------------------
+// OCR / AI Cache Stats
+// -------------------------------------------------------------------
+app.get("/api/cache/stats", (req, res) => {
+  res.json(getCacheStats());
+});
+
+// -------------------------------------------------------------------
+// LLM Token Usage
+// -------------------------------------------------------------------
+app.get("/api/llm/usage", (req, res) => {
+  res.json(getLlmUsage());
+});
+
 
 // NEW: Leaderboard Endpoint
 app.get("/api/leaderboard", async (req, res) => {
@@ -0,0 +1,35 @@
+// test/taskGrading.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gradeTask, parseAnswerNumber } from "../utils/taskGrading.js";
+
+const task = { input_type: "written", expected_keywords: ["lower of cost", "NRV"] };
+
+test("a multi-word keyword needs its words together", () => {
+  const result = gradeTask(task, "inventory at cost, not NRV which is lower");
+  assert.equal(result.credit, 0);
+});
+
+test("a multi-word keyword may have a word or two in between", () => {
+  assert.equal(gradeTask(task, "Inventory is valued at the lower of cost and NRV").credit, 1);
+  assert.equal(gradeTask(task, "lower of the historic cost and NRV").credit, 1);
+});
+
+test("a keyword's words must come in order", () => {
+  assert.equal(gradeTask(task, "cost is lower than NRV").credit, 0.5);
+});
+
+test("brackets and commas don't split a keyword", () => {
+  assert.equal(gradeTask(task, "min(cost, NRV)").credit, 1);
+  assert.equal(gradeTask({ input_type: "written", expected_keywords: ["lower of cost and NRV"] }, "min(cost, NRV)").credit, 1);
+});
+
+test("a keyword doesn't run across sentences", () => {
+  assert.equal(gradeTask(task, "NRV is lower. Cost is what we paid.").credit, 0.5);
+});
+
+test("a labelled number is read after its label", () => {
+  assert.equal(parseAnswerNumber("2019: 37000"), 37000);
+  assert.equal(parseAnswerNumber("profit = £37k"), 37000);
+  assert.equal(parseAnswerNumber("(500)"), -500);
+});
@@ -0,0 +1,269 @@
+// utils/aiMetering.js
+// Pay-as-you-go AI: every metered call needs a signed-in user and costs
+// credits. Each user gets AI_FREE_DAILY credits a day (UTC); anything beyond
+// is paid from their GoCoin balance, 1 coin per credit, in the same Firestore
+// transaction that checks it. Nobody can spend more than AI_DAILY_LIMIT
+// credits a day. Failed calls are refunded, and every call is logged with its
+// tokens and pages in users/{uid}/aiUsage.
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+import { collectLlmUsage } from "./llmProviders.js";
+import { verifyUser } from "./userAuth.js";
+
+// Credits per unit: an OCR page, a simplify chunk, five quiz questions or flashcards, one marked answer
+export const AI_PRICES = { ocr: 1, extract: 1, simplify: 2, quiz: 3, flashcards: 3, mark: 5 };
+
+export const AI_FREE_DAILY = parseInt(process.env.AI_FREE_DAILY || "20", 10);
+export const AI_DAILY_LIMIT = parseInt(process.env.AI_DAILY_LIMIT || "500", 10);
+
+// AI_METERING=off serves AI endpoints without sign-in or charges (local development)
+const METERING_ENABLED = (process.env.AI_METERING || "on").toLowerCase() !== "off";
+
+export class InsufficientCoinsError extends Error {
+  constructor({ cost, freeLeft, needed, balance }) {
+    super(`Not enough coins: this needs ${needed} coin${needed === 1 ? "" : "s"} and you have ${balance}.`);
+    this.name = "InsufficientCoinsError";
+    this.details = { cost, freeLeft, needed, balance };
+  }
+}
+
+export class DailyLimitError extends Error {
+  constructor({ cost, usedToday }) {
+    super(`Daily AI limit reached (${AI_DAILY_LIMIT} credits). Try again tomorrow.`);
+    this.name = "DailyLimitError";
+    this.details = { cost, usedToday, limit: AI_DAILY_LIMIT };
+  }
+}
+
+function userRef(uid) {
+  return firestore.collection("users").doc(uid);
+}
+
+function today() {
+  return new Date().toISOString().split("T")[0]; // YYYY-MM-DD, like /api/update-points
+}
+
+function usageToday(data) {
+  const usage = data?.aiUsage;
+  return usage?.day === today()
+    ? { freeUsed: 0, coinsSpent: 0, credits: 0, calls: 0, ...usage }
+    : { day: today(), freeUsed: 0, coinsSpent: 0, credits: 0, calls: 0 };
+}
+
+/**
+ * Take `cost` credits from today's free allowance, then from coinBalance.
+ * Throws InsufficientCoinsError / DailyLimitError without charging anything.
+ * Resolves to { day, cost, fromFree, coins, balance, freeLeft }.
+ */
+export async function chargeCredits(uid, cost) {
+  return firestore.runTransaction(async (t) => {
+    const snap = await t.get(userRef(uid));
+    const data = snap.exists ? snap.data() : {};
+    const balance = data.coinBalance || 0;
+    const usage = usageToday(data);
+
+    if (usage.credits + cost > AI_DAILY_LIMIT) throw new DailyLimitError({ cost, usedToday: usage.credits });
+
+    const freeLeft = Math.max(0, AI_FREE_DAILY - usage.freeUsed);
+    const fromFree = Math.min(cost, freeLeft);
+    const coins = cost - fromFree;
+    if (coins > balance) throw new InsufficientCoinsError({ cost, freeLeft, needed: coins, balance });
+
+    t.set(userRef(uid), {
+      coinBalance: balance - coins,
+      aiUsage: {
+        day: usage.day,
+        freeUsed: usage.freeUsed + fromFree,
+        coinsSpent: usage.coinsSpent + coins,
+        credits: usage.credits + cost,
+        calls: usage.calls + 1,
+      },
+    }, { merge: true });
+
+    return { day: usage.day, cost, fromFree, coins, balance: balance - coins, freeLeft: freeLeft - fromFree };
+  });
+}
+
+/**
+ * Give back a charge: the coins always, the free credits only on the same day.
+ */
+export async function refundCredits(uid, charge) {
+  return firestore.runTransaction(async (t) => {
+    const snap = await t.get(userRef(uid));
+    const data = snap.exists ? snap.data() : {};
+    const usage = usageToday(data);
+    const sameDay = usage.day === charge.day;
+
+    t.set(userRef(uid), {
+      coinBalance: (data.coinBalance || 0) + charge.coins,
+      aiUsage: sameDay
+        ? {
+            ...usage,
+            freeUsed: Math.max(0, usage.freeUsed - charge.fromFree),
+            coinsSpent: Math.max(0, usage.coinsSpent - charge.coins),
+            credits: Math.max(0, usage.credits - charge.cost),
+          }
+        : usage,
+    }, { merge: true });
+
+    return (data.coinBalance || 0) + charge.coins;
+  });
+}
+
+export async function getAllowance(uid) {
+  const snap = await userRef(uid).get();
+  const data = snap.exists ? snap.data() : {};
+  const usage = usageToday(data);
+  return {
+    balance: data.coinBalance || 0,
+    freeDaily: AI_FREE_DAILY,
+    freeLeft: Math.max(0, AI_FREE_DAILY - usage.freeUsed),
+    usedToday: usage.credits,
+    dailyLimit: AI_DAILY_LIMIT,
+    prices: AI_PRICES,
+  };
+}
+
+async function logUsage(uid, entry) {
+  try {
+    await userRef(uid).collection("aiUsage").add({ ...entry, createdAt: Timestamp.now() });
+  } catch (err) {
+    console.error("AI usage log error:", err);
+  }
+}
+
+// The signed-in caller's uid, or null once a 401 has been sent
+function verifyAiUser(req, res) {
+  return verifyUser(req, res, "Sign in to use AI features");
+}
+
+/**
+ * Express middleware for endpoints that charge with runMetered as they go:
+ * responds 401 like meterAi without a signed-in user.
+ */
+export async function requireAiUser(req, res, next) {
+  if (!METERING_ENABLED) return next();
+  if (await verifyAiUser(req, res)) next();
+}
+
+/**
+ * Charge `units` of `action`, run `work()` and refund the charge if it
+ * throws, for AI work whose cost is only known part-way through a request or
+ * that runs in the background. Throws InsufficientCoinsError /
+ * DailyLimitError before running `work`. Resolves to what `work` resolves to.
+ */
+export async function runMetered(uid, action, units, work, { path = null } = {}) {
+  if (!METERING_ENABLED || !units) return work();
+
+  const cost = units * AI_PRICES[action];
+  const charge = await chargeCredits(uid, cost);
+  const { result, usage } = collectLlmUsage(work);
+
+  let failed = false;
+  let refunded = false;
+  try {
+    return await result;
+  } catch (err) {
+    failed = true;
+    try {
+      await refundCredits(uid, charge);
+      refunded = true;
+    } catch (refundErr) {
+      console.error("AI refund error:", refundErr);
+    }
+    throw err;
+  } finally {
+    await logUsage(uid, {
+      action,
+      path,
+      units,
+      pages: action === "ocr" ? units : null,
+      cost,
+      fromFree: charge.fromFree,
+      coins: charge.coins,
+      tokens: { ...usage },
+      status: failed ? "failed" : "ok",
+      refunded,
+    });
+  }
+}
+
+/**
+ * An OCR provider that charges `uid` for each page it reads (see runMetered).
+ */
+export function meteredOcr(ocrProvider, uid, options) {
+  if (!METERING_ENABLED) return ocrProvider;
+  return { ...ocrProvider, detect: (...args) => runMetered(uid, "ocr", 1, () => ocrProvider.detect(...args), options) };
+}
+
+/**
+ * Express middleware for a metered AI endpoint. `unitsOf(req)` says how many
+ * units of `action` the request uses (1 by default; return 0 for a request
+ * that will be rejected anyway). Responds 401 without a signed-in user, 402
+ * when the user can't pay and 429 past the daily limit; otherwise charges,
+ * sets X-Coins-Charged / X-Coin-Balance / X-Free-Credits-Left and lets the
+ * handler run. A 4xx/5xx response, or `res.locals.aiFailed` (for streams,
+ * which are already 200), refunds the charge.
+ */
+export function meterAi(action, unitsOf = () => 1) {
+  return async (req, res, next) => {
+    if (!METERING_ENABLED) return next();
+
+    const uid = await verifyAiUser(req, res);
+    if (!uid) return;
+
+    const units = Math.max(0, Math.ceil(Number(unitsOf(req)) || 0));
+    if (!units) return next(); // invalid input: the handler answers 400
+
+    const cost = units * AI_PRICES[action];
+    let charge;
+    try {
+      charge = await chargeCredits(uid, cost);
+    } catch (err) {
+      if (err instanceof InsufficientCoinsError) {
+        return res.status(402).json({ error: err.message, code: "insufficient_coins", ...err.details });
+      }
+      if (err instanceof DailyLimitError) {
+        return res.status(429).json({ error: err.message, code: "daily_limit", ...err.details });
+      }
+      console.error("AI charge error:", err);
+      return res.status(500).json({ error: "Could not check your coin balance" });
+    }
+
+    res.set({
+      "X-Coins-Charged": String(charge.coins),
+      "X-Coin-Balance": String(charge.balance),
+      "X-Free-Credits-Left": String(charge.freeLeft),
+    });
+
+    const { usage } = collectLlmUsage(() => next());
+
+    res.on("close", async () => {
+      const failed = res.statusCode >= 400 || res.locals.aiFailed;
+      const cancelled = !failed && !res.writableFinished;
+
+      let refunded = false;
+      if (failed) {
+        try {
+          await refundCredits(uid, charge);
+          refunded = true;
+        } catch (err) {
+          console.error("AI refund error:", err);
+        }
+      }
+
+      await logUsage(uid, {
+        action,
+        path: req.path,
+        units,
+        pages: action === "ocr" ? units : null,
+        cost,
+        fromFree: charge.fromFree,
+        coins: charge.coins,
+        tokens: { ...usage },
+        status: failed ? "failed" : cancelled ? "cancelled" : "ok",
+        refunded,
+      });
+    });
+  };
+}
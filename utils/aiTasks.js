@@ -0,0 +1,885 @@
+// utils/aiTasks.js
+// AI tasks shared by the /api routes and background jobs. The model backend
+// (OpenAI, a local OpenAI-compatible server or the offline mock) comes from
+// utils/llmProviders.js.
+// Results are cached by content hash; each cache version is a fingerprint of
+// the provider, model and prompt, so changing a prompt below invalidates old results.
+import { cached, fingerprint } from "./resultCache.js";
+import { getLlmProvider, modelFor } from "./llmProviders.js";
+import { validateQuiz, validateTasks, validateTranslation, parseQuizJson } from "./quizSchema.js";
+import {
+  parseJsonObject,
+  normalizeMarkingPoints,
+  parseMarkingRun,
+  tallyMarkingRuns,
+} from "./markingSchema.js";
+import {
+  READING_LEVELS,
+  DEFAULT_READING_LEVEL,
+  measureReadability,
+  compareToLevel,
+  describeLevel,
+} from "./readability.js";
+import { CHUNK_CHARS, chunkText, chunkParagraphs, allocateByLength } from "./textChunks.js";
+import {
+  splitSentencesWithSpans,
+  claimFor,
+  candidateSentences,
+  LEXICAL_THRESHOLD,
+} from "./grounding.js";
+import { validateFlashcards } from "./flashcardSchema.js";
+
+const PROMPTS = {
+  extract: "Convert this passage into clean readable text.",
+  quiz:
+    "Return ONLY valid JSON: {\"quiz\":[{\"question\":\"\",\"options\":[\"A\",\"B\",\"C\",\"D\"],\"correct\":0}]}. " +
+    "Every question has exactly 4 different options and `correct` is the 0-based index of the right one. " +
+    "Do not repeat questions.",
+  flashcards:
+    "Return ONLY valid JSON: {\"cards\":[{\"type\":\"term\",\"front\":\"\",\"back\":\"\"}]}. " +
+    "Make revision flashcards. type \"term\": front is a key word or phrase from the passage, back is its meaning " +
+    "in one short sentence. type \"qa\": front is a question, back is its short answer. " +
+    "Mix both types and do not repeat cards.",
+  rubric:
+    "You are an ACCA examiner writing a marking scheme. Break the model answer into marking points: " +
+    "each point is one fact, calculation or argument a marker would look for. " +
+    "Give each point its marks so that they add up to TOTAL MARKS. " +
+    "Return ONLY valid JSON: {\"points\":[{\"point\":\"\",\"marks\":1}]}.",
+  mark:
+    "You are an ACCA marker. For each numbered marking point decide whether the student's answer earns it. " +
+    "Award a point only when the answer clearly makes it, in any wording, and give a one-sentence reason " +
+    "for every decision. Return ONLY valid JSON: " +
+    "{\"points\":[{\"id\":1,\"awarded\":true,\"reason\":\"\"}],\"feedback\":\"\"}.",
+  verify:
+    "You check quiz questions against a learner's notes. Each question is listed with its correct answer " +
+    "and numbered sentences from the notes. For each question give the number of the sentence that states " +
+    "the fact behind the correct answer, or null if none of them does. " +
+    "Return ONLY valid JSON: [{\"id\":1,\"sentence\":2}].",
+};
+
+// Non-MCQ question types, in the MTQ task schema used by public/past_questions
+const TASK_PROMPTS = {
+  true_false:
+    "Return ONLY valid JSON: {\"tasks\":[{\"task\":\"statement\",\"answer\":true}]}. " +
+    "Each task is a single statement about the passage that is clearly true or clearly false. Mix true and false.",
+  fill_blank:
+    "Return ONLY valid JSON: {\"tasks\":[{\"task\":\"sentence with ____\",\"answer\":\"word\",\"accepted_answers\":[]}]}. " +
+    "Each task is a sentence from the passage with one key word or short phrase replaced by ____. " +
+    "List spellings or synonyms that should also be accepted.",
+  number:
+    "Return ONLY valid JSON: {\"tasks\":[{\"task\":\"question\",\"answer\":0,\"unit\":\"\"}]}. " +
+    "Each task has a single numeric answer that can be found or worked out from the passage.",
+  written:
+    "Return ONLY valid JSON: {\"tasks\":[{\"task\":\"question\",\"expected_keywords\":[\"\"],\"model_answer\":\"\"}]}. " +
+    "Each task asks for a short written answer (one or two sentences). " +
+    "expected_keywords are 2-4 distinct ideas (a word or short phrase each) a correct answer must mention; " +
+    "if any one of them is enough, set \"min_keywords\": 1.",
+};
+
+const MAX_TOKENS = { extract: 600, simplify: 500, quiz: 800, mark: 800, translate: 2000, verify: 400, rubric: 800, flashcards: 800 };
+
+// Languages /api/simplify and /api/quiz can answer in (code → name used in prompts)
+export const OUTPUT_LANGUAGES = {
+  en: "English",
+  yo: "Yoruba",
+  ig: "Igbo",
+  ha: "Hausa",
+  pcm: "Nigerian Pidgin",
+  fr: "French",
+};
+
+// Strings per translation request when translating a quiz
+const TRANSLATE_BATCH = 40;
+
+export const SIMPLIFY_STYLES = ["summary", "notes", "story"];
+
+const STYLE_INSTRUCTIONS = {
+  summary: "Write a short summary in plain paragraphs.",
+  notes: "Write bullet-point study notes, one idea per line starting with \"- \".",
+  story: "Retell it as a short story for the reader, keeping every fact correct.",
+};
+
+// First try plus rewrites when the output misses the reading level
+const SIMPLIFY_MAX_ATTEMPTS = parseInt(process.env.SIMPLIFY_MAX_ATTEMPTS || "3", 10);
+
+// First request plus re-asks for invalid or missing questions
+const QUIZ_MAX_ATTEMPTS = parseInt(process.env.QUIZ_MAX_ATTEMPTS || "3", 10);
+
+// Marking runs per answer, combined point by point (each at temperature 0 with its own seed)
+const MARK_RUNS = parseInt(process.env.MARK_RUNS || "3", 10);
+
+// Requests in flight at once when a long document is split into chunks
+const LLM_CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY || "3", 10);
+
+export class MarkingError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = "MarkingError";
+    this.problems = problems;
+  }
+}
+
+export class QuizGenerationError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = "QuizGenerationError";
+    this.problems = problems;
+  }
+}
+
+function cacheVersion(task, prompt = PROMPTS[task]) {
+  return fingerprint(getLlmProvider().name, modelFor(task), prompt, MAX_TOKENS[task]);
+}
+
+// Run `fn` over `items` with at most LLM_CONCURRENCY calls running, keeping order
+async function mapWithConcurrency(items, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(LLM_CONCURRENCY, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// `options`: { signal, onDelta } to cancel the request and/or receive the answer as it is
+// written, and { temperature, seed } for repeatable answers
+async function complete(task, userContent, meta, prompt = PROMPTS[task], options = {}) {
+  const { content } = await getLlmProvider().complete({
+    task,
+    messages: [
+      { role: "system", content: prompt },
+      { role: "user", content: userContent },
+    ],
+    maxTokens: MAX_TOKENS[task],
+    meta,
+    temperature: options.temperature,
+    seed: options.seed,
+    signal: options.signal,
+    onDelta: options.onDelta,
+  });
+  return content;
+}
+
+// Remember whether anything was streamed: a cache hit never calls the model,
+// so the caller gets the cached text in one piece instead
+function trackStreaming(onDelta) {
+  const tracker = {
+    streamed: false,
+    onDelta: onDelta && (delta => {
+      tracker.streamed = true;
+      onDelta(delta);
+    }),
+    finish(text) {
+      if (onDelta && !tracker.streamed && text) onDelta(text);
+    },
+  };
+  return tracker;
+}
+
+// -------------------------------------------------------------------
+// Tasks
+// -------------------------------------------------------------------
+export async function extractText(text, { signal, onDelta } = {}) {
+  const stream = trackStreaming(onDelta);
+  const extracted = await cached(
+    { namespace: "extract", version: cacheVersion("extract"), content: text },
+    async () => (await complete("extract", text, undefined, undefined, { signal, onDelta: stream.onDelta })) || null
+  );
+  stream.finish(extracted);
+  return extracted || "Extraction failed";
+}
+
+function simplifyPrompt(levelKey, style) {
+  const level = READING_LEVELS[levelKey];
+  return (
+    `Rewrite this for a reader aged ${level.ages[0]}-${level.ages[1]} (${level.label}). ` +
+    `${STYLE_INSTRUCTIONS[style]} ` +
+    `Keep sentences under ${level.maxSentenceWords} words and aim for a Flesch-Kincaid grade ` +
+    `between ${level.grades[0]} and ${level.grades[1]}. Keep all the important facts. ` +
+    "Return only the rewritten text."
+  );
+}
+
+// Simplify one prompt-sized piece of text. Rewrites up to SIMPLIFY_MAX_ATTEMPTS
+// times while the output misses the level and keeps the closest version.
+// Only the first attempt is streamed; the final text may be a later rewrite.
+async function simplifyChunk(text, level, style, { signal, onDelta } = {}) {
+  const prompt = simplifyPrompt(level, style);
+  const stream = trackStreaming(onDelta);
+
+  const result = await cached(
+    {
+      namespace: "simplify",
+      version: cacheVersion("simplify", prompt),
+      params: { level, style },
+      content: text,
+    },
+    async () => {
+      const meta = { text, style, maxSentenceWords: READING_LEVELS[level].maxSentenceWords };
+      let best = null;
+      let attempts = 0;
+
+      while (attempts < SIMPLIFY_MAX_ATTEMPTS && !best?.check.onTarget) {
+        attempts++;
+        const request = best
+          ? `${text}\n\nYour last version:\n${best.text}\n\n` +
+            `It missed the reading level: ${best.check.problems.join("; ")}. Rewrite it again.`
+          : text;
+
+        const output = (await complete("simplify", request, meta, prompt, {
+          signal,
+          onDelta: attempts === 1 ? stream.onDelta : undefined,
+        })).trim();
+        if (!output) continue;
+
+        const scores = measureReadability(output);
+        const check = compareToLevel(scores, level);
+        if (!best || check.distance < best.check.distance) best = { text: output, scores, check };
+      }
+
+      return {
+        text: best?.text || "",
+        readingLevel: describeLevel(level),
+        style,
+        readability: { input: measureReadability(text), output: best?.scores || null },
+        onTarget: Boolean(best?.check.onTarget),
+        missedBy: best?.check.problems || [],
+        attempts,
+      };
+    },
+    { shouldCache: result => Boolean(result.text) }
+  );
+  stream.finish(result.text);
+  return result;
+}
+
+// "Section title\n" when chunk i starts a new section, else ""
+function sectionHeading(chunks, i) {
+  const section = chunks[i].section;
+  return section && section !== chunks[i - 1]?.section ? `${section}\n` : "";
+}
+
+// Text longer than CHUNK_CHARS is simplified chunk by chunk and stitched back
+// together under its section headings.
+async function simplifyEnglish(text, { level = DEFAULT_READING_LEVEL, style = "summary", signal, onDelta } = {}) {
+  if (text.length <= CHUNK_CHARS) {
+    return { ...(await simplifyChunk(text, level, style, { signal, onDelta })), sections: 1 };
+  }
+
+  const chunks = chunkText(text);
+  let parts;
+
+  if (onDelta) {
+    // One chunk at a time so the text streams in reading order
+    parts = [];
+    for (const [i, chunk] of chunks.entries()) {
+      const lead = `${i ? "\n\n" : ""}${sectionHeading(chunks, i)}`;
+      if (lead) onDelta(lead);
+      parts.push(await simplifyChunk(chunk.text, level, style, { signal, onDelta }));
+    }
+  } else {
+    parts = await mapWithConcurrency(chunks, chunk => simplifyChunk(chunk.text, level, style, { signal }));
+  }
+
+  const merged = chunks
+    .map((chunk, i) => (parts[i].text ? `${sectionHeading(chunks, i)}${parts[i].text}` : ""))
+    .filter(Boolean)
+    .join("\n\n");
+
+  const output = merged ? measureReadability(merged) : null;
+  const check = output ? compareToLevel(output, level) : { onTarget: false, problems: [] };
+
+  return {
+    text: merged,
+    readingLevel: describeLevel(level),
+    style,
+    readability: { input: measureReadability(text), output },
+    onTarget: check.onTarget,
+    missedBy: check.problems,
+    attempts: parts.reduce((sum, p) => sum + p.attempts, 0),
+    sections: chunks.length,
+  };
+}
+
+/**
+ * Simplify `text` for a reading level ("early", "primary", "junior_secondary",
+ * "senior_secondary") in a style ("summary", "notes", "story") and a language
+ * from OUTPUT_LANGUAGES. Other languages are simplified in English first (our
+ * readability scores are English-only) and then translated; the English
+ * version is returned as `english` for side-by-side reading.
+ * `onDelta` receives the text as it is written and `signal` cancels; the
+ * resolved `text` is the final version and replaces whatever was streamed.
+ *
+ * Resolves to { text, english?, language, readingLevel, style, readability: { input, output },
+ * onTarget, missedBy, attempts, sections }.
+ */
+export async function simplifyForReader(text, { language = "en", signal, onDelta, ...options } = {}) {
+  if (language === "en") {
+    return { ...(await simplifyEnglish(text, { ...options, signal, onDelta })), language };
+  }
+
+  const english = await simplifyEnglish(text, { ...options, signal });
+  const translated = english.text ? await translateText(english.text, language, { signal, onDelta }) : "";
+  return { ...english, text: translated, english: english.text, language };
+}
+
+// -------------------------------------------------------------------
+// Translation
+// -------------------------------------------------------------------
+function translatePrompt(language) {
+  return (
+    `Translate this into ${OUTPUT_LANGUAGES[language]} for a young learner. ` +
+    "Keep the meaning, the line breaks and any \"- \" bullets. Return only the translation."
+  );
+}
+
+function translateListPrompt(language) {
+  return (
+    `Translate every string in this JSON array into ${OUTPUT_LANGUAGES[language]} for a young learner. ` +
+    "Return ONLY a JSON array with the same number of strings in the same order. " +
+    "Keep ____ blanks and numbers exactly as they are."
+  );
+}
+
+/**
+ * Translate prose paragraph by paragraph (so long texts fit the answer limit).
+ * A paragraph that cannot be translated is left in English.
+ */
+export async function translateText(text, language, { signal, onDelta } = {}) {
+  const prompt = translatePrompt(language);
+  const translated = [];
+
+  for (const [i, part] of chunkParagraphs(text).entries()) {
+    if (i && onDelta) onDelta("\n\n");
+    const stream = trackStreaming(onDelta);
+    const output = await cached(
+      { namespace: "translate", version: cacheVersion("translate", prompt), params: { language }, content: part },
+      async () => (await complete("translate", part, { language }, prompt, { signal, onDelta: stream.onDelta })).trim() || null
+    );
+    stream.finish(output);
+    translated.push(output || part);
+  }
+  return translated.join("\n\n");
+}
+
+// Translate a list of strings, keeping order and length. Resolves to null when
+// the model keeps answering with the wrong shape.
+function translateStrings(strings, language) {
+  const prompt = translateListPrompt(language);
+
+  return cached(
+    {
+      namespace: "translate",
+      version: cacheVersion("translate", prompt),
+      params: { language, list: true },
+      content: JSON.stringify(strings),
+    },
+    async () => {
+      let problems = [];
+      for (let attempt = 1; attempt <= QUIZ_MAX_ATTEMPTS; attempt++) {
+        let request = JSON.stringify(strings);
+        if (problems.length) request += `\n\nYour previous answer was rejected: ${problems.join("; ")}`;
+
+        const content = await complete("translate", request, { language, strings }, prompt);
+        const result = validateTranslation(content, strings);
+        if (result.list) return result.list;
+
+        problems = result.problems;
+        console.warn(`⚠️ Translation attempt ${attempt}: ${problems.join("; ")}`);
+      }
+      return null;
+    }
+  );
+}
+
+// Learner-facing fields of quiz items, MTQ tasks and MTQ groups
+const TRANSLATED_FIELDS = ["question", "options", "task", "unit", "accepted_answers", "expected_keywords", "model_answer"];
+
+function flattenItems(items) {
+  return items.flatMap(item => [item, ...(Array.isArray(item.tasks) ? flattenItems(item.tasks) : [])]);
+}
+
+// Every translatable string as { target, field, index? } (recursing into MTQ `tasks`)
+function translationSlots(items, slots = []) {
+  for (const item of items) {
+    const fields = item.input_type === "fill_blank" ? [...TRANSLATED_FIELDS, "answer"] : TRANSLATED_FIELDS;
+    for (const field of fields) {
+      const value = item[field];
+      if (Array.isArray(value)) {
+        value.forEach((v, index) => typeof v === "string" && v && slots.push({ target: item, field, index, text: v }));
+      } else if (typeof value === "string" && value) {
+        slots.push({ target: item, field, text: value });
+      }
+    }
+    if (Array.isArray(item.tasks)) translationSlots(item.tasks, slots);
+  }
+  return slots;
+}
+
+/**
+ * Translate a generated quiz (MCQ items or MTQ groups) string by string, so
+ * options stay in the same order and `correct` / `answer` indexes stay valid.
+ * Resolves to { quiz, language }; if the translation fails the English quiz is
+ * returned with language "en".
+ */
+export async function translateQuiz(quiz, language) {
+  if (language === "en") return { quiz, language };
+
+  const translated = structuredClone(quiz);
+  const slots = translationSlots(translated);
+  const originals = slots.map(slot => slot.text);
+
+  for (let start = 0; start < originals.length; start += TRANSLATE_BATCH) {
+    const batch = await translateStrings(originals.slice(start, start + TRANSLATE_BATCH), language);
+    if (!batch) {
+      console.warn(`⚠️ Could not translate quiz into ${language}, sending English`);
+      return { quiz, language: "en" };
+    }
+    batch.forEach((text, i) => {
+      const { target, field, index } = slots[start + i];
+      if (index === undefined) target[field] = text;
+      else target[field][index] = text;
+    });
+  }
+
+  // Options that translate to the same words would make a question unanswerable; keep those in English
+  const originalItems = flattenItems(quiz);
+  flattenItems(translated).forEach((item, i) => {
+    if (Array.isArray(item.options) && new Set(item.options.map(o => String(o).toLowerCase())).size < item.options.length) {
+      item.options = [...originalItems[i].options];
+    }
+  });
+
+  // Learners who answer a fill-in-the-blank in English are still right
+  for (const slot of slots) {
+    if (slot.field === "answer" && slot.target.answer !== slot.text) {
+      slot.target.accepted_answers = [...(slot.target.accepted_answers || []), slot.text];
+    }
+  }
+
+  return { quiz: translated, language };
+}
+
+// -------------------------------------------------------------------
+// Grounding
+// -------------------------------------------------------------------
+// Ask the model which candidate sentence supports each claim. Resolves to one
+// candidate (or null) per claim; if the model's answer can't be used, falls
+// back to the best word-overlap match above LEXICAL_THRESHOLD.
+function verifyClaims(claims) {
+  const lexical = claims.map(c => (c.candidates[0]?.score >= LEXICAL_THRESHOLD ? c.candidates[0] : null));
+  const asked = claims.map((c, i) => ({ ...c, id: i + 1 })).filter(c => c.candidates.length);
+  if (!asked.length) return Promise.resolve(lexical);
+
+  const request = asked
+    .map(c => `Q${c.id}: ${c.claim}\n${c.candidates.map((x, n) => `  [${n + 1}] ${x.sentence.text}`).join("\n")}`)
+    .join("\n\n");
+
+  return cached(
+    { namespace: "ground", version: cacheVersion("verify"), content: request },
+    async () => {
+      const content = await complete("verify", request, {
+        questions: asked.map(c => ({ id: c.id, candidates: c.candidates.map(x => x.score) })),
+        threshold: LEXICAL_THRESHOLD,
+      });
+      const results = parseQuizJson(content);
+      if (!results) {
+        console.warn("⚠️ Grounding check returned no usable JSON, using word overlap");
+        return lexical;
+      }
+
+      const byId = new Map(results.map(r => [Number(r?.id), r?.sentence]));
+      return claims.map((c, i) => {
+        if (!byId.has(i + 1)) return lexical[i];
+        const choice = Number(byId.get(i + 1));
+        return Number.isInteger(choice) && c.candidates[choice - 1] ? c.candidates[choice - 1] : null;
+      });
+    }
+  );
+}
+
+/**
+ * Verification pass over a generated quiz (MCQ items or MTQ groups): find the
+ * sentence in `source` (the learner's extracted text) that supports each
+ * correct answer and drop the questions nothing supports. Empty MTQ groups are
+ * removed.
+ * Resolves to { quiz, dropped } where kept items carry
+ * evidence: { start, end, text } (character offsets into `source`) and
+ * dropped lists the question texts that were removed.
+ */
+export async function groundQuiz(quiz, source) {
+  const sentences = splitSentencesWithSpans(source);
+  const isGroups = quiz.some(q => Array.isArray(q.tasks));
+  const items = isGroups ? quiz.flatMap(group => group.tasks) : quiz;
+
+  const claims = items.map(item => {
+    const claim = claimFor(item);
+    return { claim, candidates: candidateSentences(claim, sentences) };
+  });
+  const choices = await verifyClaims(claims);
+
+  const dropped = [];
+  const grounded = new Map();
+  items.forEach((item, i) => {
+    const choice = choices[i];
+    if (!choice) {
+      dropped.push(item.question ?? item.task);
+      return;
+    }
+    const { start, end, text } = choice.sentence;
+    grounded.set(item, { ...item, evidence: { start, end, text } });
+  });
+
+  if (dropped.length) console.warn(`⚠️ Dropped ${dropped.length} question(s) not found in the notes`);
+
+  const kept = list => list.filter(item => grounded.has(item)).map(item => grounded.get(item));
+  const result = isGroups
+    ? quiz.map(group => ({ ...group, tasks: kept(group.tasks) })).filter(group => group.tasks.length)
+    : kept(quiz);
+
+  return { quiz: result, dropped };
+}
+
+const labelOf = item => item.question ?? item.task ?? item.front;
+
+// Ask for `count` items, validate them, and re-ask for whatever was invalid or
+// missing until we have exactly `count` or run out of attempts. Items too
+// close to one in `avoid` (asked for earlier) count as invalid.
+async function generateValidated({ text, count, noun, prompt, validate, meta = {}, task = "quiz", avoid = [] }) {
+  const items = [];
+  let problems = [];
+
+  for (let attempt = 1; attempt <= QUIZ_MAX_ATTEMPTS && items.length < count; attempt++) {
+    const missing = count - items.length;
+    const seen = [...avoid, ...items];
+    let request = `Create ${missing} ${noun} using only facts stated in this passage:\n${text}`;
+    if (seen.length) {
+      request += `\n\nDo not repeat these:\n${seen.map(q => `- ${labelOf(q)}`).join("\n")}`;
+    }
+    if (problems.length) {
+      request += `\n\nYour previous answer was rejected: ${problems.join("; ")}`;
+    }
+
+    const content = await complete(
+      task,
+      request,
+      { ...meta, text, numQuestions: missing, avoid: seen.map(labelOf) },
+      prompt
+    );
+    const result = validate(content, seen);
+    items.push(...result.items.slice(0, missing));
+    problems = result.problems;
+
+    if (problems.length) console.warn(`⚠️ ${task === "quiz" ? "Quiz" : "Flashcard"} attempt ${attempt}: ${problems.join("; ")}`);
+  }
+
+  if (items.length < count) {
+    throw new QuizGenerationError(
+      `Could only create ${items.length} of ${count} valid ${noun}. Try again or use a longer passage.`,
+      problems
+    );
+  }
+  return items;
+}
+
+// Long passages: share `count` items across the chunks by length, generate
+// each share from its own chunk and tag every item with the section it came from
+async function generateAcrossSections(text, count, generate) {
+  const chunks = chunkText(text);
+  const counts = allocateByLength(chunks, count);
+
+  const perChunk = await mapWithConcurrency(chunks, (chunk, i) => (
+    counts[i] ? generate(chunk.text, counts[i]) : []
+  ));
+  return perChunk.flatMap((items, i) => items.map(item => ({ ...item, section: chunks[i].section })));
+}
+
+// `avoid`: questions already asked, so replacements differ from them
+export function generateQuiz(text, numQuestions, { avoid = [] } = {}) {
+  const count = numQuestions || 5;
+  if (text.length > CHUNK_CHARS) return generateAcrossSections(text, count, (chunk, n) => generateQuiz(chunk, n, { avoid }));
+
+  return cached(
+    {
+      namespace: "quiz",
+      version: cacheVersion("quiz"),
+      params: { numQuestions: count, ...(avoid.length && { avoid: avoid.map(labelOf) }) },
+      content: text,
+    },
+    () => generateValidated({ text, count, noun: "questions", prompt: PROMPTS.quiz, validate: validateQuiz, avoid })
+  );
+}
+
+/**
+ * Generate `count` tasks of one non-MCQ type (true_false, fill_blank, number, written).
+ */
+export function generateTasks(text, type, count, { avoid = [] } = {}) {
+  if (text.length > CHUNK_CHARS) {
+    return generateAcrossSections(text, count, (chunk, n) => generateTasks(chunk, type, n, { avoid }));
+  }
+
+  return cached(
+    {
+      namespace: "quiz",
+      version: cacheVersion("quiz", TASK_PROMPTS[type]),
+      params: { type, numQuestions: count, ...(avoid.length && { avoid: avoid.map(labelOf) }) },
+      content: text,
+    },
+    () => generateValidated({
+      text,
+      count,
+      noun: `${type.replace("_", " ")} tasks`,
+      prompt: TASK_PROMPTS[type],
+      validate: (content, existing) => validateTasks(content, type, existing),
+      meta: { questionType: type },
+      avoid,
+    })
+  );
+}
+
+const MIX_HEADINGS = {
+  mcq: "Choose the right answer",
+  true_false: "True or false?",
+  fill_blank: "Fill in the blank",
+  number: "Work it out",
+  written: "Answer in a sentence or two",
+};
+
+/**
+ * Build a quiz from a mix like { mcq: 3, true_false: 2 } in the MTQ schema:
+ * one { question, type: "mtq", tasks } group per question type.
+ * MCQ questions become tasks with input_type "choice".
+ */
+export async function generateMixedQuiz(text, mix, { avoid = [] } = {}) {
+  const groups = await Promise.all(Object.entries(mix).map(async ([type, count]) => {
+    const tasks = type === "mcq"
+      ? (await generateQuiz(text, count, { avoid })).map(q => ({
+          task: q.question,
+          input_type: "choice",
+          options: q.options,
+          answer: q.correct,
+          ...(q.section !== undefined && { section: q.section }),
+        }))
+      : await generateTasks(text, type, count, { avoid });
+
+    return { question: MIX_HEADINGS[type], type: "mtq", questionType: type, tasks };
+  }));
+
+  return groups;
+}
+
+/**
+ * Generate the quiz for `mix` from `text` (plain MCQ items when the mix is only
+ * mcq, MTQ groups otherwise) and ground it against `notes` with groundQuiz.
+ * Dropped questions are replaced by new ones, up to QUIZ_MAX_ATTEMPTS rounds,
+ * so the quiz keeps the size asked for. Resolves to { quiz, dropped, shortfall }
+ * where shortfall counts the questions still missing after the last round.
+ * Throws QuizGenerationError when the first round can't be generated.
+ */
+export async function generateGroundedQuiz(text, notes, mix) {
+  const mcqOnly = Object.keys(mix).length === 1 && mix.mcq;
+  const quiz = mcqOnly
+    ? []
+    : Object.keys(mix).map(type => ({ question: MIX_HEADINGS[type], type: "mtq", questionType: type, tasks: [] }));
+  const missing = () => (mcqOnly
+    ? { mcq: mix.mcq - quiz.length }
+    : Object.fromEntries(quiz.map(group => [group.questionType, mix[group.questionType] - group.tasks.length])));
+
+  const asked = [];
+  const dropped = [];
+  for (let round = 1; round <= QUIZ_MAX_ATTEMPTS; round++) {
+    const wanted = Object.fromEntries(Object.entries(missing()).filter(([, n]) => n > 0));
+    if (!Object.keys(wanted).length) break;
+
+    let generated;
+    try {
+      generated = mcqOnly
+        ? await generateQuiz(text, wanted.mcq, { avoid: asked })
+        : await generateMixedQuiz(text, wanted, { avoid: asked });
+    } catch (err) {
+      // A replacement round that fails leaves a shortfall rather than no quiz
+      if (round === 1 || !(err instanceof QuizGenerationError)) throw err;
+      console.warn(`⚠️ Could not replace dropped questions: ${err.message}`);
+      break;
+    }
+    asked.push(...(mcqOnly ? generated : generated.flatMap(group => group.tasks)));
+
+    const grounded = await groundQuiz(generated, notes);
+    dropped.push(...grounded.dropped);
+    if (mcqOnly) quiz.push(...grounded.quiz);
+    else grounded.quiz.forEach(g => quiz.find(group => group.questionType === g.questionType).tasks.push(...g.tasks));
+  }
+
+  const shortfall = Object.values(missing()).reduce((sum, n) => sum + n, 0);
+  return { quiz: mcqOnly ? quiz : quiz.filter(group => group.tasks.length), dropped, shortfall };
+}
+
+// -------------------------------------------------------------------
+// Flashcards
+// -------------------------------------------------------------------
+function generateCards(text, count) {
+  if (text.length > CHUNK_CHARS) return generateAcrossSections(text, count, generateCards);
+
+  return cached(
+    {
+      namespace: "flashcards",
+      version: cacheVersion("flashcards"),
+      params: { count },
+      content: text,
+    },
+    () => generateValidated({
+      text,
+      count,
+      noun: "flashcards",
+      prompt: PROMPTS.flashcards,
+      validate: validateFlashcards,
+      task: "flashcards",
+    })
+  );
+}
+
+/**
+ * Make `count` revision cards from the notes. Each card is
+ * { type, front, back, section?, evidence } where evidence is the sentence of
+ * `text` ({ start, end, text }) the card was most likely built from, or null.
+ * Throws QuizGenerationError.
+ */
+export async function generateFlashcards(text, count = 10) {
+  const cards = await generateCards(text, count);
+  const sentences = splitSentencesWithSpans(text);
+
+  return cards.map(card => {
+    const [best] = candidateSentences(`${card.front} ${card.back}`, sentences, 1);
+    const evidence = best && best.score >= LEXICAL_THRESHOLD
+      ? { start: best.sentence.start, end: best.sentence.end, text: best.sentence.text }
+      : null;
+    return { ...card, evidence };
+  });
+}
+
+// -------------------------------------------------------------------
+// ACCA marking
+// -------------------------------------------------------------------
+// The marking scheme for a model answer is cached, so every student answer to
+// the same question is marked against the same points.
+function buildRubric({ question, modelAnswer, maxScore }) {
+  return cached(
+    {
+      namespace: "rubric",
+      version: cacheVersion("rubric"),
+      params: { maxScore },
+      content: `${question}\n${modelAnswer}`,
+    },
+    async () => {
+      let problems = [];
+      for (let attempt = 1; attempt <= QUIZ_MAX_ATTEMPTS; attempt++) {
+        let request = `QUESTION:\n${question}\n\nMODEL ANSWER:\n${modelAnswer}\n\nTOTAL MARKS: ${maxScore}`;
+        if (problems.length) request += `\n\nYour previous answer was rejected: ${problems.join("; ")}`;
+
+        const content = await complete("rubric", request, { modelAnswer, maxScore }, PROMPTS.rubric, {
+          temperature: 0,
+          seed: 1,
+        });
+        const result = normalizeMarkingPoints(parseJsonObject(content), maxScore);
+        if (!result.problems.length) return result.points;
+
+        problems = result.problems;
+        console.warn(`⚠️ Rubric attempt ${attempt}: ${problems.join("; ")}`);
+      }
+      throw new MarkingError("Could not turn the model answer into marking points", problems);
+    }
+  );
+}
+
+/**
+ * Mark a written answer against a rubric. `markingPoints` (strings or
+ * { point, marks }) is used when given; otherwise the model answer is broken
+ * into points first. The answer is marked MARK_RUNS times and each point is
+ * awarded by majority, so reruns agree; results are cached as well.
+ *
+ * Resolves to { score, max_score, percentage, feedback, points: [{ point, marks,
+ * awarded, reason, agreement }], runs }. Throws MarkingError.
+ */
+export async function markAccaAnswer({ question, userAnswer, modelAnswer, maxScore = 20, markingPoints }) {
+  let points;
+  if (markingPoints) {
+    const result = normalizeMarkingPoints(markingPoints, maxScore);
+    if (result.problems.length) throw new MarkingError("Invalid marking points", result.problems);
+    points = result.points;
+  } else {
+    points = await buildRubric({ question, modelAnswer, maxScore });
+  }
+
+  const rubric = points.map((p, i) => `${i + 1}. (${p.marks} mark${p.marks === 1 ? "" : "s"}) ${p.point}`).join("\n");
+  const request = `QUESTION:\n${question}\n\nMARKING POINTS:\n${rubric}\n\nSTUDENT ANSWER:\n${userAnswer}`;
+
+  return cached(
+    { namespace: "mark", version: cacheVersion("mark"), params: { runs: MARK_RUNS }, content: request },
+    async () => {
+      const runOnce = async seed => parseMarkingRun(
+        await complete("mark", request, { points: points.map(p => p.point), userAnswer }, PROMPTS.mark, {
+          temperature: 0,
+          seed,
+        }),
+        points
+      );
+
+      let problems = [];
+      const runs = [];
+      const keep = run => {
+        if (run.awards) runs.push(run);
+        else problems = run.problems;
+      };
+
+      (await Promise.all(Array.from({ length: MARK_RUNS }, (_, i) => runOnce(i + 1)))).forEach(keep);
+      // Replace unreadable runs, with a limit
+      for (let seed = MARK_RUNS + 1; runs.length < MARK_RUNS && seed <= MARK_RUNS * 2; seed++) {
+        keep(await runOnce(seed));
+      }
+
+      if (!runs.length) throw new MarkingError("The marker's answer could not be read. Try again.", problems);
+      if (problems.length) console.warn(`⚠️ Marking: ${problems.join("; ")}`);
+
+      const tally = tallyMarkingRuns(points, runs, maxScore);
+      const awarded = tally.points.filter(p => p.awarded).length;
+      return {
+        ...tally,
+        feedback: runs.find(run => run.feedback)?.feedback || `Earned ${awarded} of ${points.length} marking points.`,
+        runs: runs.length,
+      };
+    }
+  );
+}
+
+/**
+ * Mark a whole Section B paper: `questions` is a list of markAccaAnswer inputs
+ * (plus an optional `questionId`). A question that cannot be marked gets an
+ * `error` and is left out of the totals.
+ * Resolves to { results: [{ questionId, ...mark } | { questionId, error }], score, max_score, percentage, complete }.
+ */
+export async function markAccaPaper(questions) {
+  const results = await mapWithConcurrency(questions, async q => {
+    try {
+      return { questionId: q.questionId ?? null, ...(await markAccaAnswer(q)) };
+    } catch (err) {
+      if (!(err instanceof MarkingError)) throw err;
+      return { questionId: q.questionId ?? null, error: err.message, problems: err.problems };
+    }
+  });
+
+  const marked = results.filter(r => !r.error);
+  const score = marked.reduce((sum, r) => sum + r.score, 0);
+  const max = marked.reduce((sum, r) => sum + r.max_score, 0);
+  return {
+    results,
+    score,
+    max_score: max,
+    percentage: max ? Math.round((score / max) * 100) : 0,
+    complete: marked.length === results.length,
+  };
+}
@@ -0,0 +1,152 @@
+// utils/documentExtract.js
+// Server-side text extraction for /api/documents.
+// PDFs: read the text layer page by page; pages without one are rasterized
+// and sent through OCR. DOCX: mammoth text plus OCR of embedded images.
+// Images: straight to OCR. Every result is one normalized text per page.
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createCanvas } from "@napi-rs/canvas";
+import mammoth from "mammoth";
+
+// Fewer visible characters than this and a PDF page counts as scanned
+const MIN_TEXT_LAYER_CHARS = parseInt(process.env.DOCUMENT_MIN_TEXT_CHARS || "20", 10);
+const RASTER_SCALE = parseFloat(process.env.DOCUMENT_RASTER_SCALE || "2");
+export const MAX_DOCUMENT_PAGES = parseInt(process.env.DOCUMENT_MAX_PAGES || "40", 10);
+
+/**
+ * Clean up text from any source: unicode forms, hyphenated line breaks,
+ * stray control characters and runs of blank lines.
+ */
+export function normalizeText(text = "") {
+  return text
+    .normalize("NFKC")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u00AD]/g, "")
+    .replace(/(\w)-\n(\w)/g, "$1$2")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+async function ocrImage(ocrProvider, buffer) {
+  if (!ocrProvider) throw new Error("OCR unavailable");
+  const annotation = await ocrProvider.detect(buffer.toString("base64"));
+  return annotation?.fullTextAnnotation?.text || annotation?.textAnnotations?.[0]?.description || "";
+}
+
+// Rebuild lines from pdf.js text items (hasEOL marks the end of a line)
+function textContentToString(textContent) {
+  return textContent.items
+    .map(item => item.str + (item.hasEOL ? "\n" : ""))
+    .join("");
+}
+
+async function renderPdfPage(page) {
+  const viewport = page.getViewport({ scale: RASTER_SCALE });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext("2d");
+
+  // White background so transparent scans don't OCR as black
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvas, canvasContext: context, viewport }).promise;
+  return canvas.toBuffer("image/png");
+}
+
+export async function extractPdfPages(buffer, { ocrProvider, maxPages = MAX_DOCUMENT_PAGES, fromPage = 1, onPage } = {}) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    useSystemFonts: true,
+    isEvalSupported: false,
+  }).promise;
+
+  const pages = [];
+  const total = Math.min(pdf.numPages, maxPages);
+
+  try {
+    for (let pageNumber = fromPage; pageNumber <= total; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const layerText = normalizeText(textContentToString(await page.getTextContent()));
+
+      let result;
+      if (layerText.replace(/\s/g, "").length >= MIN_TEXT_LAYER_CHARS) {
+        result = { pageNumber, source: "text-layer", text: layerText };
+      } else {
+        const image = await renderPdfPage(page);
+        result = { pageNumber, source: "ocr", text: normalizeText(await ocrImage(ocrProvider, image)) };
+      }
+
+      page.cleanup();
+      pages.push(result);
+      if (onPage) await onPage(result, total);
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return { pages, totalPages: pdf.numPages, truncated: pdf.numPages > total };
+}
+
+// The text is page 1 and each embedded image one more page, up to maxPages
+export async function extractDocxPages(buffer, { ocrProvider, maxPages = MAX_DOCUMENT_PAGES, onPage } = {}) {
+  const images = [];
+
+  // convertToHtml is only used to reach the embedded images
+  await mammoth.convertToHtml({ buffer }, {
+    convertImage: mammoth.images.imgElement(async image => {
+      images.push(await image.read());
+      return { src: "" };
+    }),
+  });
+
+  const { value } = await mammoth.extractRawText({ buffer });
+  const pages = [{ pageNumber: 1, source: "text-layer", text: normalizeText(value) }];
+  const read = images.slice(0, Math.max(0, maxPages - 1));
+  if (onPage) await onPage(pages[0], read.length + 1);
+
+  for (const image of read) {
+    const result = {
+      pageNumber: pages.length + 1,
+      source: "ocr",
+      text: normalizeText(await ocrImage(ocrProvider, Buffer.from(image))),
+    };
+    pages.push(result);
+    if (onPage) await onPage(result, read.length + 1);
+  }
+
+  return { pages: pages.filter(p => p.text), totalPages: pages.length, truncated: read.length < images.length };
+}
+
+export async function extractImagePages(buffer, { ocrProvider, onPage } = {}) {
+  const page = { pageNumber: 1, source: "ocr", text: normalizeText(await ocrImage(ocrProvider, buffer)) };
+  if (onPage) await onPage(page, 1);
+  return { pages: [page], totalPages: 1, truncated: false };
+}
+
+const PDF_TYPES = ["application/pdf"];
+const DOCX_TYPES = ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"];
+
+export function detectDocumentKind(file) {
+  const ext = (file.originalname || "").split(".").pop().toLowerCase();
+
+  if (PDF_TYPES.includes(file.mimetype) || ext === "pdf") return "pdf";
+  if (DOCX_TYPES.includes(file.mimetype) || ext === "docx") return "docx";
+  if ((file.mimetype || "").startsWith("image/") || ["jpg", "jpeg", "png", "webp"].includes(ext)) return "image";
+  return null;
+}
+
+/**
+ * Extract one normalized text per page from an uploaded multer file.
+ * `onPage(page, total)` is called as each page finishes; PDFs can start at
+ * `fromPage` to resume an interrupted extraction.
+ */
+export async function extractDocument(file, options = {}) {
+  const kind = detectDocumentKind(file);
+
+  if (kind === "pdf") return extractPdfPages(file.buffer, options);
+  if (kind === "docx") return extractDocxPages(file.buffer, options);
+  if (kind === "image") return extractImagePages(file.buffer, options);
+
+  throw new Error(`Unsupported file type: ${file.originalname}`);
+}
@@ -0,0 +1,397 @@
+// utils/documentJobs.js
+// Background document-processing jobs: upload → OCR page N/M → simplify → quiz.
+// Jobs belong to a signed-in user and live in memory while running; each
+// uploaded file is kept only until its text has been read, so a job stopped
+// part-way through OCR can resume. Jobs are mirrored to Firestore
+// (`documentJobs`) so results can be reopened later; the result is saved as
+// JSON split across `resultParts` documents to stay under Firestore's 1 MB
+// document limit. The owner is charged for each OCR page and AI stage as it
+// runs (utils/aiMetering.js); a stage that can't be paid for fails the job,
+// which can be resumed after a top-up.
+// Every page read and every AI result is screened (utils/moderation.js)
+// before it is stored; blocked content fails the job for good.
+import { EventEmitter } from "events";
+import { v4 as uuidv4 } from "uuid";
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+import { getOcrProvider, OcrFixtureMissingError } from "./ocrProviders.js";
+import { extractDocument, detectDocumentKind } from "./documentExtract.js";
+import { simplifyForReader, generateGroundedQuiz, translateQuiz } from "./aiTasks.js";
+import { DEFAULT_READING_LEVEL } from "./readability.js";
+import { runMetered, meteredOcr } from "./aiMetering.js";
+import { CHUNK_CHARS } from "./textChunks.js";
+import { screenText, screenStrings, screenValue, ContentBlockedError } from "./moderation.js";
+
+const STAGE_WEIGHTS = { upload: 5, ocr: 65, simplify: 15, quiz: 15 };
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+const CANCELLED = "Job cancelled";
+
+// Finished jobs are dropped from memory after this; Firestore keeps the record
+const JOB_MEMORY_TTL_MS = 60 * 60 * 1000;
+
+// Queued or running jobs allowed at once, per user and on the server
+export const MAX_ACTIVE_JOBS_PER_USER = parseInt(process.env.MAX_ACTIVE_JOBS_PER_USER || "2", 10);
+export const MAX_ACTIVE_JOBS = parseInt(process.env.MAX_ACTIVE_JOBS || "10", 10);
+
+// Characters per `resultParts` document: at most 3 bytes each in UTF-8
+const RESULT_PART_CHARS = 300000;
+
+const jobs = new Map(); // jobId → { record, files, cancelRequested }
+
+// Emits `${jobId}` with the latest public snapshot on every change
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function jobsCollection() {
+  return firestore.collection("documentJobs");
+}
+
+/**
+ * Write a job to Firestore: the record without its result, which goes into
+ * numbered `resultParts` documents. Parts left over from a longer result are
+ * deleted.
+ */
+async function saveRecord(record) {
+  const { result, ...rest } = record;
+  const json = JSON.stringify(result);
+  const parts = [];
+  for (let i = 0; i < json.length; i += RESULT_PART_CHARS) parts.push(json.slice(i, i + RESULT_PART_CHARS));
+
+  const ref = jobsCollection().doc(record.id);
+  const previous = (await ref.get()).data()?.resultParts || 0;
+  await Promise.all(parts.map((json, i) => ref.collection("resultParts").doc(String(i)).set({ json })));
+  for (let i = parts.length; i < previous; i++) await ref.collection("resultParts").doc(String(i)).delete();
+
+  await ref.set({ ...rest, resultParts: parts.length, hasResult: Boolean(result.text) });
+}
+
+// The saved record with its result put back together (older records kept it inline)
+async function loadRecord(snap) {
+  const { resultParts, hasResult, ...record } = snap.data();
+  if (record.result || !resultParts) return record;
+
+  const ref = jobsCollection().doc(snap.id);
+  const parts = await Promise.all(
+    Array.from({ length: resultParts }, (_, i) => ref.collection("resultParts").doc(String(i)).get())
+  );
+  return { ...record, result: JSON.parse(parts.map(part => part.data().json).join("")) };
+}
+
+function computePercent(record) {
+  const included = Object.keys(STAGE_WEIGHTS).filter(s => record.stages[s].status !== "skipped");
+  const totalWeight = included.reduce((sum, s) => sum + STAGE_WEIGHTS[s], 0);
+
+  const done = included.reduce((sum, stage) => {
+    const info = record.stages[stage];
+    if (info.status === "done") return sum + STAGE_WEIGHTS[stage];
+    if (stage === "ocr" && info.total) return sum + STAGE_WEIGHTS.ocr * (info.current / info.total);
+    return sum;
+  }, 0);
+
+  return Math.round((done / totalWeight) * 100);
+}
+
+// Public view of a job (no buffers, timestamps as millis)
+export function toSnapshot(record) {
+  return {
+    ...record,
+    createdAt: record.createdAt?.toMillis ? record.createdAt.toMillis() : record.createdAt,
+    updatedAt: record.updatedAt?.toMillis ? record.updatedAt.toMillis() : record.updatedAt,
+  };
+}
+
+async function update(job, changes = {}, { persist = false } = {}) {
+  Object.assign(job.record, changes, { updatedAt: Timestamp.now() });
+  job.record.percent = computePercent(job.record);
+
+  jobEvents.emit(job.record.id, toSnapshot(job.record));
+
+  if ((persist || TERMINAL_STATUSES.includes(job.record.status)) && job.record.uid) {
+    try {
+      await saveRecord(job.record);
+    } catch (err) {
+      console.error("Job persist error:", err);
+    }
+  }
+}
+
+export class JobLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "JobLimitError";
+  }
+}
+
+/**
+ * Throw JobLimitError when `uid` (or the server) already has as many jobs
+ * queued or running as allowed.
+ */
+export function checkJobCapacity(uid) {
+  const active = [...jobs.values()].filter(j => !TERMINAL_STATUSES.includes(j.record.status));
+  if (active.filter(j => j.record.uid === uid).length >= MAX_ACTIVE_JOBS_PER_USER) {
+    const n = MAX_ACTIVE_JOBS_PER_USER;
+    throw new JobLimitError(`You already have ${n} document${n === 1 ? "" : "s"} processing. Wait for one to finish.`);
+  }
+  if (active.length >= MAX_ACTIVE_JOBS) {
+    throw new JobLimitError("Too many documents are processing right now. Please try again in a few minutes.");
+  }
+}
+
+function throwIfCancelled(job) {
+  if (job.cancelRequested) throw new Error(CANCELLED);
+}
+
+function ocrProgress(record) {
+  const docs = record.result.documents;
+  return {
+    current: docs.reduce((sum, d) => sum + d.pages.length, 0),
+    // Files not opened yet count as one page until we know better
+    total: docs.reduce((sum, d) => sum + (d.totalPages || 1), 0),
+  };
+}
+
+async function runOcrStage(job) {
+  const { record } = job;
+  const ocrProvider = meteredOcr(getOcrProvider(), record.uid, { path: "/api/jobs" });
+  record.stages.ocr.status = "running";
+
+  for (let i = 0; i < job.files.length; i++) {
+    const doc = record.result.documents[i];
+    if (doc.done) continue;
+
+    // Only PDFs can resume part-way; other kinds restart the file
+    if (doc.kind !== "pdf") doc.pages = [];
+
+    const extracted = await extractDocument(job.files[i], {
+      ocrProvider,
+      fromPage: doc.pages.length + 1,
+      onPage: async (page, total) => {
+        throwIfCancelled(job);
+        const screened = await screenText(page.text, { stage: "ocr", uid: record.uid });
+        doc.pages.push({ ...page, text: screened.text });
+        doc.totalPages = total;
+        const { current, total: allPages } = ocrProgress(record);
+        await update(job, {
+          stage: "ocr",
+          message: `Reading page ${current} of ${allPages}`,
+          stages: { ...record.stages, ocr: { status: "running", current, total: allPages } },
+        });
+      },
+    });
+
+    // Pages were collected in onPage, including any read before a resume
+    doc.totalPages = doc.pages.length;
+    doc.truncated = extracted.truncated;
+    doc.done = true;
+    job.files[i] = null; // the upload isn't needed once its text is read
+  }
+
+  record.result.text = record.result.documents
+    .flatMap(d => d.pages.map(p => p.text))
+    .filter(Boolean)
+    .join("\n\n");
+
+  if (!record.result.text) throw new Error("No readable text found");
+
+  const { current, total } = ocrProgress(record);
+  await update(job, { stages: { ...record.stages, ocr: { status: "done", current, total } } }, { persist: true });
+}
+
+async function runJob(job) {
+  const { record } = job;
+
+  try {
+    await update(job, { status: "running", error: null }, { persist: true });
+
+    if (record.stages.ocr.status !== "done") {
+      await runOcrStage(job);
+    }
+    throwIfCancelled(job);
+
+    if (record.stages.simplify.status !== "done" && record.stages.simplify.status !== "skipped") {
+      await update(job, {
+        stage: "simplify",
+        message: "Making it simple...",
+        stages: { ...record.stages, simplify: { status: "running" } },
+      });
+      // Older saved jobs have no reading level; simplifyForReader falls back to its defaults
+      const chunks = Math.ceil(record.result.text.length / CHUNK_CHARS);
+      const simplified = await runMetered(record.uid, "simplify", chunks, async () => {
+        const result = await simplifyForReader(record.result.text, {
+          level: record.options.readingLevel,
+          style: record.options.style,
+          language: record.options.language,
+        });
+        // Throwing refunds the charge and leaves the stage to be resumed
+        if (!result.text) throw new Error("Simplification failed");
+        const { strings } = await screenStrings([result.text, result.english || ""], { stage: "simplify-output", uid: record.uid });
+        return { ...result, text: strings[0], english: strings[1] };
+      }, { path: "/api/jobs" });
+      record.result.simplified = simplified.text;
+      record.result.english = simplified.english || null;
+      record.result.readingLevel = {
+        ...simplified.readingLevel,
+        readability: simplified.readability.output,
+        onTarget: simplified.onTarget,
+      };
+      throwIfCancelled(job);
+      await update(job, { stages: { ...record.stages, simplify: { status: "done" } } }, { persist: true });
+    }
+
+    if (record.stages.quiz.status !== "done" && record.stages.quiz.status !== "skipped") {
+      await update(job, {
+        stage: "quiz",
+        message: "Creating your quiz...",
+        stages: { ...record.stages, quiz: { status: "running" } },
+      });
+      // Questions are written from the English version and then translated
+      const groups = Math.ceil(record.options.numQuestions / 5);
+      record.result.quiz = await runMetered(record.uid, "quiz", groups, async () => {
+        const grounded = await generateGroundedQuiz(
+          record.result.english || record.result.simplified || record.result.text,
+          record.result.text,
+          { mcq: record.options.numQuestions }
+        );
+        const translated = await translateQuiz(grounded.quiz, record.options.language || "en");
+        return (await screenValue(translated.quiz, { stage: "quiz-output", uid: record.uid })).value;
+      }, { path: "/api/jobs" });
+      throwIfCancelled(job);
+      await update(job, { stages: { ...record.stages, quiz: { status: "done" } } });
+    }
+
+    await update(job, { status: "completed", stage: "done", message: "All done!" });
+  } catch (err) {
+    const cancelled = err.message === CANCELLED;
+    const blocked = err instanceof ContentBlockedError;
+    if (!cancelled && !blocked) console.error(`Job ${record.id} failed:`, err);
+
+    // Blocked content can't be resumed, so its uploads go now
+    if (blocked) {
+      record.blocked = err.categories;
+      job.files = job.files.map(() => null);
+    }
+
+    // Leave the interrupted stage resumable
+    const stages = { ...record.stages };
+    for (const [name, info] of Object.entries(stages)) {
+      if (info.status === "running") stages[name] = { ...info, status: "pending" };
+    }
+
+    await update(job, {
+      status: cancelled ? "cancelled" : "failed",
+      message: cancelled ? "Cancelled" : blocked ? "This document can't be used" : "Something went wrong",
+      // The fixture error names a server folder
+      error: cancelled ? null : err instanceof OcrFixtureMissingError ? "OCR could not read this document" : err.message,
+      stages,
+    });
+  } finally {
+    job.cancelRequested = false;
+    if (TERMINAL_STATUSES.includes(record.status)) {
+      setTimeout(() => {
+        if (jobs.get(record.id) === job && TERMINAL_STATUSES.includes(record.status)) jobs.delete(record.id);
+      }, JOB_MEMORY_TTL_MS).unref();
+    }
+  }
+}
+
+/**
+ * Create a job for a user's uploaded multer files and start it in the
+ * background. Throws JobLimitError when checkJobCapacity would.
+ */
+export async function createJob({
+  files,
+  uid,
+  numQuestions = 0,
+  simplify = true,
+  readingLevel = DEFAULT_READING_LEVEL,
+  style = "summary",
+  language = "en",
+}) {
+  checkJobCapacity(uid);
+  const id = uuidv4();
+  const now = Timestamp.now();
+
+  const record = {
+    id,
+    uid,
+    status: "queued",
+    stage: "upload",
+    message: "Upload received",
+    percent: 0,
+    options: { numQuestions, simplify, readingLevel, style, language },
+    files: files.map(f => ({ name: f.originalname, kind: detectDocumentKind(f), size: f.size })),
+    stages: {
+      upload: { status: "done" },
+      ocr: { status: "pending", current: 0, total: files.length },
+      simplify: { status: simplify ? "pending" : "skipped" },
+      quiz: { status: numQuestions > 0 ? "pending" : "skipped" },
+    },
+    result: {
+      documents: files.map(f => ({ fileName: f.originalname, kind: detectDocumentKind(f), pages: [], done: false })),
+      text: "",
+      simplified: null,
+      english: null,
+      readingLevel: null,
+      quiz: null,
+    },
+    error: null,
+    blocked: null, // moderation categories when the content was refused
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const job = { record, files: [...files], cancelRequested: false };
+  jobs.set(id, job);
+
+  await update(job, {}, { persist: true });
+  runJob(job);
+
+  return toSnapshot(record);
+}
+
+/**
+ * Latest snapshot from memory, or from Firestore once the job has been evicted.
+ */
+export async function getJob(id) {
+  const job = jobs.get(id);
+  if (job) return toSnapshot(job.record);
+
+  const snap = await jobsCollection().doc(id).get();
+  return snap.exists ? toSnapshot(await loadRecord(snap)) : null;
+}
+
+export async function listJobs(uid, limit = 20) {
+  const snapshot = await jobsCollection()
+    .where("uid", "==", uid)
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  // Summaries only: the full text is fetched per job
+  return snapshot.docs.map(doc => {
+    const { result, resultParts, hasResult, ...rest } = toSnapshot(doc.data());
+    return { ...rest, hasResult: hasResult ?? Boolean(result?.text) };
+  });
+}
+
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) throw new Error("Job is not running");
+  if (TERMINAL_STATUSES.includes(job.record.status)) throw new Error(`Job already ${job.record.status}`);
+
+  job.cancelRequested = true;
+  return toSnapshot(job.record);
+}
+
+export function resumeJob(id) {
+  const job = jobs.get(id);
+  if (!job) throw new Error("Uploaded files are no longer available. Please upload again.");
+  if (!["cancelled", "failed"].includes(job.record.status)) {
+    throw new Error(`Only cancelled or failed jobs can be resumed (job is ${job.record.status})`);
+  }
+  if (job.record.blocked) throw new Error("This document has content we can't use, so it can't be resumed.");
+  checkJobCapacity(job.record.uid);
+
+  runJob(job);
+  return toSnapshot(job.record);
+}
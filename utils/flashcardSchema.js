@@ -0,0 +1,68 @@
+// utils/flashcardSchema.js
+// Schema for generated flashcards and the repairs we make to model output.
+//
+// A valid card is { type: "term" | "qa", front, back }:
+//   term  front is a word or phrase from the notes, back its definition
+//   qa    front is a question, back its short answer
+import { parseJsonObject } from "./markingSchema.js";
+import { isDuplicateQuestion } from "./quizSchema.js";
+
+export const FLASHCARD_TYPES = ["term", "qa"];
+export const MAX_FLASHCARDS = 30;
+
+const MAX_FRONT_CHARS = 200;
+const MAX_BACK_CHARS = 400;
+
+function parseCards(content) {
+  if (Array.isArray(content)) return content;
+  const parsed = parseJsonObject(content);
+  if (Array.isArray(parsed)) return parsed;
+  return Array.isArray(parsed?.cards) ? parsed.cards : Array.isArray(parsed?.flashcards) ? parsed.flashcards : null;
+}
+
+/**
+ * Repair one raw card: accepts { term, definition } and { question, answer }
+ * as well as { front, back }. Returns { item, errors }.
+ */
+export function repairFlashcard(raw) {
+  if (!raw || typeof raw !== "object") return { item: null, errors: ["not an object"] };
+
+  const front = String(raw.front ?? raw.term ?? raw.question ?? "").trim();
+  const back = String(raw.back ?? raw.definition ?? raw.answer ?? "").trim();
+  let type = String(raw.type ?? "").toLowerCase();
+  if (!FLASHCARD_TYPES.includes(type)) type = raw.term || !/\?$/.test(front) ? "term" : "qa";
+
+  const errors = [];
+  if (!front) errors.push("missing front");
+  if (!back) errors.push("missing back");
+  if (front.length > MAX_FRONT_CHARS) errors.push(`front is longer than ${MAX_FRONT_CHARS} characters`);
+  if (back.length > MAX_BACK_CHARS) errors.push(`back is longer than ${MAX_BACK_CHARS} characters`);
+  if (front && back && front.toLowerCase() === back.toLowerCase()) errors.push("back repeats the front");
+
+  return { item: { type, front, back }, errors };
+}
+
+/**
+ * validateQuiz for flashcards. Returns { items, problems }.
+ */
+export function validateFlashcards(content, existing = []) {
+  const rawItems = parseCards(content);
+  if (!rawItems) return { items: [], problems: ["response was not valid flashcard JSON"] };
+
+  const items = [];
+  const problems = [];
+  const asQuestion = card => ({ question: card.front });
+
+  rawItems.forEach((raw, i) => {
+    const { item, errors } = repairFlashcard(raw);
+    if (errors.length) {
+      problems.push(`card ${i + 1}: ${errors.join(", ")}`);
+    } else if (isDuplicateQuestion(asQuestion(item), [...existing, ...items].map(asQuestion))) {
+      problems.push(`card ${i + 1}: repeats an earlier card`);
+    } else {
+      items.push(item);
+    }
+  });
+
+  return { items, problems };
+}
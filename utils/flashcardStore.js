@@ -0,0 +1,115 @@
+// utils/flashcardStore.js
+// Flashcards saved per user in users/{uid}/flashcards. Every card keeps a
+// `source` pointing back at what it was made from: the document job (when the
+// notes came from /api/jobs), a title, the deck it belongs to and the sentence
+// of the notes it was built from.
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+import { newSchedule, reviewSchedule } from "./spacedRepetition.js";
+
+const DUE_LIMIT = 50;
+const LIST_LIMIT = 200;
+
+function cardsCollection(uid) {
+  return firestore.collection("users").doc(uid).collection("flashcards");
+}
+
+// Timestamps → millis for the API
+function toCard(doc) {
+  const data = doc.data();
+  const millis = value => (value?.toMillis ? value.toMillis() : value ?? null);
+  return {
+    id: doc.id,
+    ...data,
+    due: millis(data.due),
+    lastReviewedAt: millis(data.lastReviewedAt),
+    createdAt: millis(data.createdAt),
+  };
+}
+
+/**
+ * Save generated cards as one deck. `source` is { deckId, jobId?, title? }.
+ * Returns the saved cards with their ids.
+ */
+export async function saveCards(uid, cards, source) {
+  const now = Timestamp.now();
+  const schedule = newSchedule(now.toMillis());
+  const batch = firestore.batch();
+
+  const saved = cards.map(card => {
+    const ref = cardsCollection(uid).doc();
+    const data = {
+      type: card.type,
+      front: card.front,
+      back: card.back,
+      section: card.section ?? null,
+      source: { ...source, evidence: card.evidence ?? null },
+      deckId: source.deckId,
+      ...schedule,
+      due: now,
+      createdAt: now,
+    };
+    batch.set(ref, data);
+    return { id: ref.id, ...data, due: now.toMillis(), createdAt: now.toMillis() };
+  });
+
+  await batch.commit();
+  return saved;
+}
+
+/**
+ * Cards due by `until` (ms), most overdue first. The deck filter is applied
+ * after the query so only the single-field index on `due` is needed.
+ */
+export async function listDueCards(uid, { until = Date.now(), deckId, limit = DUE_LIMIT } = {}) {
+  const snap = await cardsCollection(uid)
+    .where("due", "<=", Timestamp.fromMillis(until))
+    .orderBy("due", "asc")
+    .limit(deckId ? LIST_LIMIT : limit)
+    .get();
+
+  return snap.docs.map(toCard).filter(card => !deckId || card.deckId === deckId).slice(0, limit);
+}
+
+export async function listCards(uid, { deckId } = {}) {
+  const query = deckId
+    ? cardsCollection(uid).where("deckId", "==", deckId)
+    : cardsCollection(uid).orderBy("createdAt", "desc");
+
+  const snap = await query.limit(LIST_LIMIT).get();
+  return snap.docs.map(toCard);
+}
+
+/**
+ * Record a review (SM-2 quality 0–5) and reschedule the card.
+ * Resolves to the updated card, or null when the user has no such card.
+ */
+export async function recordReview(uid, cardId, quality, now = Date.now()) {
+  const ref = cardsCollection(uid).doc(cardId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const card = toCard(snap);
+  const next = reviewSchedule(card, quality, now);
+  const changes = {
+    repetitions: next.repetitions,
+    interval: next.interval,
+    ease: next.ease,
+    reviews: next.reviews,
+    lapses: next.lapses,
+    lastQuality: next.lastQuality,
+    due: Timestamp.fromMillis(next.due),
+    lastReviewedAt: Timestamp.fromMillis(now),
+  };
+  await ref.update(changes);
+
+  return { ...card, ...changes, due: next.due, lastReviewedAt: now };
+}
+
+export async function deleteCard(uid, cardId) {
+  const ref = cardsCollection(uid).doc(cardId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  await ref.delete();
+  return true;
+}
@@ -0,0 +1,84 @@
+// utils/grounding.js
+// Ties generated questions back to the learner's notes. Each question is
+// turned into a "claim" (the question plus its correct answer), the notes are
+// split into sentences with character offsets, and the closest sentences by
+// word overlap become the candidates the verification pass chooses from.
+
+const STOPWORDS = new Set(
+  "the a an and or of to in on at by for from with is are was were be been this that these those which what who whom whose when where why how it its their there they them than then into about".split(" ")
+);
+
+// Candidate sentences per question sent to the verifier
+export const GROUNDING_CANDIDATES = 5;
+
+// Without a verifier answer, this share of the claim's words must appear in the sentence
+export const LEXICAL_THRESHOLD = 0.5;
+
+function contentWords(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(w => w.length > 2 && !STOPWORDS.has(w));
+}
+
+/**
+ * Split text into sentences with their offsets in `text`:
+ * [{ index, start, end, text }] where text === source.slice(start, end).
+ */
+export function splitSentencesWithSpans(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+["')\]]*)?/g;
+  let match;
+
+  while ((match = pattern.exec(String(text || "")))) {
+    const raw = match[0];
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (contentWords(trimmed).length < 2) continue;
+
+    const start = match.index + leading;
+    sentences.push({ index: sentences.length, start, end: start + trimmed.length, text: trimmed });
+  }
+  return sentences;
+}
+
+/**
+ * The statement a question asks the learner to recognise: question text plus
+ * the correct answer, in whichever schema the item uses.
+ */
+export function claimFor(item) {
+  if (Array.isArray(item.options)) {
+    const correct = Number.isInteger(item.correct) ? item.correct : item.answer;
+    return `${item.question ?? item.task} ${item.options[correct] ?? ""}`;
+  }
+
+  const task = item.task ?? item.question ?? "";
+  switch (item.input_type) {
+    case "fill_blank":
+      return task.replace("____", item.answer ?? "");
+    case "number":
+      return `${task} ${item.answer ?? ""} ${item.unit ?? ""}`;
+    case "written":
+      return `${task} ${item.model_answer ?? ""} ${(item.expected_keywords || []).join(" ")}`;
+    default:
+      return task;
+  }
+}
+
+// Share of the claim's words found in the sentence (0–1)
+export function overlapScore(claim, sentence) {
+  const claimWords = [...new Set(contentWords(claim))];
+  if (!claimWords.length) return 0;
+  const sentenceWords = new Set(contentWords(sentence));
+  return claimWords.filter(w => sentenceWords.has(w)).length / claimWords.length;
+}
+
+/**
+ * The sentences most likely to support `claim`, best first, as
+ * [{ sentence, score }] (at most GROUNDING_CANDIDATES, zero scores dropped).
+ */
+export function candidateSentences(claim, sentences, limit = GROUNDING_CANDIDATES) {
+  return sentences
+    .map(sentence => ({ sentence, score: overlapScore(claim, sentence.text) }))
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,175 @@
+// utils/imagePreprocess.js
+// Clean up photographed worksheets before OCR: EXIF auto-rotation, client
+// crop rectangles, downscaling, grayscale/contrast normalization and deskew.
+// Every step can be switched off per request.
+import sharp from "sharp";
+
+export const DEFAULT_PREPROCESS = {
+  autoRotate: true,
+  crop: null, // { left, top, width, height } in pixels, or 0–1 fractions of the image
+  maxDimension: parseInt(process.env.OCR_MAX_DIMENSION || "2400", 10),
+  grayscale: true,
+  normalize: true,
+  deskew: true,
+  maxSkewDegrees: 15,
+  preview: true,
+  previewWidth: 600,
+};
+
+// Work on a small thumbnail when estimating skew
+const SKEW_SAMPLE_WIDTH = 500;
+const SKEW_STEP_DEGREES = 0.5;
+
+/**
+ * Merge client options with the defaults. `false` turns the whole stage off.
+ */
+export function resolvePreprocessOptions(options) {
+  if (options === false) return null;
+  return { ...DEFAULT_PREPROCESS, ...(typeof options === "object" && options ? options : {}) };
+}
+
+function toPixelRect(crop, width, height) {
+  const isFraction = ["left", "top", "width", "height"].every(k => crop[k] >= 0 && crop[k] <= 1);
+  const scaleX = isFraction ? width : 1;
+  const scaleY = isFraction ? height : 1;
+
+  const left = Math.max(0, Math.round(crop.left * scaleX));
+  const top = Math.max(0, Math.round(crop.top * scaleY));
+
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, Math.round(crop.width * scaleX))),
+    height: Math.max(1, Math.min(height - top, Math.round(crop.height * scaleY))),
+  };
+}
+
+/**
+ * Estimate page skew in degrees with a projection profile: text lines give
+ * the sharpest row histogram when they are horizontal.
+ * Rotate the image by the returned angle to straighten it.
+ */
+export async function estimateSkew(buffer, maxDegrees = DEFAULT_PREPROCESS.maxSkewDegrees) {
+  const { data, info } = await sharp(buffer)
+    .resize({ width: SKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+    .grayscale()
+    .normalise()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const darkX = [];
+  const darkY = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < 128) {
+        darkX.push(x - info.width / 2);
+        darkY.push(y - info.height / 2);
+      }
+    }
+  }
+
+  // Nearly blank or nearly black images have no usable lines
+  const total = info.width * info.height;
+  if (darkX.length < total * 0.002 || darkX.length > total * 0.6) return 0;
+
+  const diagonal = Math.ceil(Math.hypot(info.width, info.height));
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = -maxDegrees; angle <= maxDegrees; angle += SKEW_STEP_DEGREES) {
+    const rad = (angle * Math.PI) / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const rows = new Float64Array(diagonal * 2);
+
+    for (let i = 0; i < darkX.length; i++) {
+      rows[Math.round(darkX[i] * sin + darkY[i] * cos) + diagonal]++;
+    }
+
+    let score = 0;
+    for (let r = 1; r < rows.length; r++) {
+      const diff = rows[r] - rows[r - 1];
+      score += diff * diff;
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+}
+
+/**
+ * Run the enabled steps and return the processed image (PNG), what was
+ * applied, and an optional small JPEG preview as a data URL.
+ */
+export async function preprocessImage(input, options = DEFAULT_PREPROCESS) {
+  const steps = [];
+  let buffer = input;
+
+  if (options.autoRotate) {
+    buffer = await sharp(buffer).rotate().toBuffer();
+    steps.push("autoRotate");
+  }
+
+  if (options.crop) {
+    const { width, height } = await sharp(buffer).metadata();
+    const rect = toPixelRect(options.crop, width, height);
+    buffer = await sharp(buffer).extract(rect).toBuffer();
+    steps.push("crop");
+  }
+
+  if (options.maxDimension) {
+    const { width, height } = await sharp(buffer).metadata();
+    if (Math.max(width, height) > options.maxDimension) {
+      buffer = await sharp(buffer)
+        .resize({ width: options.maxDimension, height: options.maxDimension, fit: "inside" })
+        .toBuffer();
+      steps.push("downscale");
+    }
+  }
+
+  if (options.grayscale || options.normalize) {
+    let pipeline = sharp(buffer);
+    if (options.grayscale) {
+      pipeline = pipeline.grayscale();
+      steps.push("grayscale");
+    }
+    if (options.normalize) {
+      pipeline = pipeline.normalise();
+      steps.push("normalize");
+    }
+    buffer = await pipeline.toBuffer();
+  }
+
+  let skewAngle = 0;
+  if (options.deskew) {
+    skewAngle = await estimateSkew(buffer, options.maxSkewDegrees);
+    if (skewAngle !== 0) {
+      buffer = await sharp(buffer).rotate(skewAngle, { background: "#ffffff" }).toBuffer();
+      steps.push("deskew");
+    }
+  }
+
+  const output = await sharp(buffer).png().toBuffer({ resolveWithObject: true });
+
+  let preview = null;
+  if (options.preview) {
+    const jpeg = await sharp(output.data)
+      .resize({ width: options.previewWidth, withoutEnlargement: true })
+      .jpeg({ quality: 60 })
+      .toBuffer();
+    preview = `data:image/jpeg;base64,${jpeg.toString("base64")}`;
+  }
+
+  return {
+    buffer: output.data,
+    width: output.info.width,
+    height: output.info.height,
+    steps,
+    skewAngle,
+    preview,
+  };
+}
@@ -0,0 +1,541 @@
+// utils/llmProviders.js
+// LLM provider layer behind utils/aiTasks.js.
+//
+// Every provider exposes `complete({ task, messages, maxTokens, meta, temperature, seed, signal, onDelta })`
+// and resolves to { content, usage: { promptTokens, completionTokens, totalTokens }, model }.
+// `temperature` and `seed` are passed through when set (used for repeatable marking).
+// With `onDelta` the answer is streamed and each piece of text is passed to it
+// as it arrives; `signal` (an AbortSignal) cancels the request.
+//
+// LLM_PROVIDER = "openai" | "local" | "mock" | "auto" (default: openai; the mock only when asked for)
+// LLM_API_KEY   (or OPENAI_API_KEY) replaces EXTRACT/SUMMARY/QUIZ/SCORE_API_KEY
+// LLM_BASE_URL  OpenAI-compatible endpoint for "local" (default: Ollama on localhost)
+// LLM_MODEL     default model; LLM_MODEL_EXTRACT / _SIMPLIFY / _QUIZ / _MARK / _TRANSLATE / _VERIFY / _RUBRIC / _FLASHCARDS override per task
+import fetch from "node-fetch";
+import { AsyncLocalStorage } from "async_hooks";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const LOCAL_BASE_URL = "http://localhost:11434/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || "30000", 10);
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || "3", 10);
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 8000;
+const MOCK_STREAM_DELAY_MS = 20;
+
+const LEGACY_KEYS = ["EXTRACT_API_KEY", "SUMMARY_API_KEY", "QUIZ_API_KEY", "SCORE_API_KEY"];
+
+const usageTotals = {}; // task → { calls, promptTokens, completionTokens, totalTokens, retries, failures }
+
+// Per-request usage (see collectLlmUsage)
+const usageScope = new AsyncLocalStorage();
+
+export class LlmError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export function modelFor(task) {
+  return process.env[`LLM_MODEL_${task.toUpperCase()}`] || process.env.LLM_MODEL || DEFAULT_MODEL;
+}
+
+function apiKey() {
+  if (process.env.LLM_API_KEY || process.env.OPENAI_API_KEY) {
+    return process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  }
+
+  const legacy = LEGACY_KEYS.find(name => process.env[name]);
+  if (legacy) {
+    console.warn(`⚠️ ${legacy} is deprecated, set LLM_API_KEY instead`);
+    return process.env[legacy];
+  }
+  return null;
+}
+
+function usageFor(task) {
+  if (!usageTotals[task]) {
+    usageTotals[task] = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, retries: 0, failures: 0 };
+  }
+  return usageTotals[task];
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds > 0) return Math.min(seconds * 1000, RETRY_MAX_MS);
+
+  // Exponential backoff with jitter: ~0.5s, 1s, 2s, ...
+  const base = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+// -------------------------------------------------------------------
+// OpenAI-compatible HTTP (OpenAI, Ollama, llama.cpp, vLLM, ...)
+// -------------------------------------------------------------------
+function toUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+  };
+}
+
+// Read an OpenAI-style SSE body, passing each text delta to onDelta as it arrives
+async function readStream(body, onDelta, onChunk) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  let model = null;
+  let usage = null;
+
+  for await (const chunk of body) {
+    onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") continue;
+
+      const event = JSON.parse(data);
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      model = event.model || model;
+      if (event.usage) usage = event.usage;
+    }
+  }
+  return { content, model, usage };
+}
+
+/**
+ * POST a chat completion. With `onDelta` the response is streamed and every
+ * text delta is passed on as it arrives; the timeout then applies to the gap
+ * between chunks rather than the whole answer. `signal` cancels the request.
+ */
+async function postChatCompletion({ baseUrl, key, model, messages, maxTokens, temperature, seed, signal, onDelta }) {
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  };
+
+  const cancel = () => controller.abort();
+  signal?.addEventListener("abort", cancel);
+
+  const failed = err => {
+    if (signal?.aborted) {
+      const error = new LlmError("LLM request cancelled");
+      error.cancelled = true;
+      return error;
+    }
+    const timedOut = err.name === "AbortError";
+    return new LlmError(timedOut ? `LLM request timed out after ${TIMEOUT_MS}ms` : err.message, { retryable: true });
+  };
+
+  try {
+    if (signal?.aborted) throw failed(new Error("cancelled"));
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(key ? { Authorization: `Bearer ${key}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          ...(temperature !== undefined ? { temperature } : {}),
+          ...(seed !== undefined ? { seed } : {}),
+          ...(onDelta ? { stream: true, stream_options: { include_usage: true } } : {}),
+        }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw failed(err);
+    }
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new LlmError(body || `LLM request failed (${response.status})`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500,
+      });
+      error.retryAfter = response.headers.get("retry-after");
+      throw error;
+    }
+
+    if (onDelta) {
+      let streamed;
+      try {
+        streamed = await readStream(response.body, onDelta, resetTimer);
+      } catch (err) {
+        throw err instanceof SyntaxError ? new LlmError(`Bad stream from LLM: ${err.message}`) : failed(err);
+      }
+      return { content: streamed.content, model: streamed.model || model, usage: toUsage(streamed.usage) };
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (err) {
+      throw err instanceof SyntaxError ? new LlmError(`Bad JSON from LLM: ${err.message}`) : failed(err);
+    }
+    return {
+      content: data.choices?.[0]?.message?.content || "",
+      model: data.model || model,
+      usage: toUsage(data.usage),
+    };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", cancel);
+  }
+}
+
+function createHttpProvider(name, baseUrl, key) {
+  return {
+    name,
+    complete({ task, messages, maxTokens, temperature, seed, signal, onDelta }) {
+      return postChatCompletion({
+        baseUrl,
+        key,
+        model: modelFor(task),
+        messages,
+        maxTokens,
+        temperature,
+        seed,
+        signal,
+        onDelta,
+      });
+    },
+  };
+}
+
+// -------------------------------------------------------------------
+// Mock (offline, deterministic)
+// -------------------------------------------------------------------
+// Builds plausible answers from the input text itself so the whole flow
+// (extract → simplify → quiz → mark) works without network or keys.
+
+function sentencesOf(text) {
+  return (text.match(/[^.!?\n]+[.!?]?/g) || [])
+    .map(s => s.trim())
+    .filter(s => s.split(/\s+/).length >= 3);
+}
+
+function wordsOf(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+// `offset` skips sentences already used for earlier questions
+function mockQuiz(text, numQuestions, offset = 0) {
+  const sentences = sentencesOf(text);
+  const vocabulary = [...new Set(wordsOf(text).filter(w => w.length > 3))];
+  const quiz = [];
+
+  for (let i = 0; i < numQuestions && sentences.length; i++) {
+    const sentence = sentences[(i + offset) % sentences.length];
+    const sentenceWords = wordsOf(sentence);
+    const answer = sentenceWords.filter(w => w.length > 3).sort((a, b) => b.length - a.length)[0] || sentenceWords[0];
+    const pool = vocabulary.filter(w => !sentenceWords.includes(w));
+    const distractors = [...pool.slice(i * 3), ...pool.slice(0, i * 3)].slice(0, 3);
+    while (distractors.length < 3) distractors.push(`option ${distractors.length + 1}`);
+
+    const correct = i % 4;
+    const options = [...distractors];
+    options.splice(correct, 0, answer);
+
+    const at = sentence.toLowerCase().indexOf(answer);
+    quiz.push({
+      question: `Which word completes this: "${sentence.slice(0, at)}____${sentence.slice(at + answer.length)}"`,
+      options,
+      correct,
+    });
+  }
+
+  return JSON.stringify({ quiz });
+}
+
+// Non-MCQ task types (see TASK_PROMPTS in utils/aiTasks.js)
+function mockTasks(text, type, count, offset = 0) {
+  const sentences = sentencesOf(text);
+  const vocabulary = [...new Set(wordsOf(text).filter(w => w.length > 3))];
+  const numeric = sentences.filter(s => /\d/.test(s));
+  const source = type === "number" ? numeric : sentences;
+  const tasks = [];
+
+  for (let i = 0; i < count && source.length; i++) {
+    const sentence = source[(i + offset) % source.length];
+    const sentenceWords = wordsOf(sentence);
+    const keyWord = sentenceWords.filter(w => w.length > 3).sort((a, b) => b.length - a.length)[0] || sentenceWords[0];
+    const at = sentence.toLowerCase().indexOf(keyWord);
+
+    if (type === "true_false") {
+      // Every other statement is made false by swapping in a word from elsewhere
+      const swap = vocabulary.find(w => !sentenceWords.includes(w));
+      const makeFalse = i % 2 === 1 && swap;
+      tasks.push({
+        task: makeFalse ? `${sentence.slice(0, at)}${swap}${sentence.slice(at + keyWord.length)}` : sentence,
+        answer: !makeFalse,
+      });
+    } else if (type === "fill_blank") {
+      tasks.push({ task: `${sentence.slice(0, at)}____${sentence.slice(at + keyWord.length)}`, answer: keyWord });
+    } else if (type === "number") {
+      const value = sentence.match(/-?\d[\d,]*(\.\d+)?/)[0];
+      const vi = sentence.indexOf(value);
+      tasks.push({
+        task: `What number is missing? "${sentence.slice(0, vi)}____${sentence.slice(vi + value.length)}"`,
+        answer: Number(value.replace(/,/g, "")),
+      });
+    } else {
+      tasks.push({
+        task: `In your own words, explain: "${sentence}"`,
+        expected_keywords: sentenceWords.filter(w => w.length > 3).slice(0, 3),
+        model_answer: sentence,
+      });
+    }
+  }
+
+  return JSON.stringify({ tasks });
+}
+
+// "X is Y." sentences become term cards, the rest question/answer cards
+function mockFlashcards(text, count, offset = 0) {
+  const sentences = sentencesOf(text);
+  const cards = [];
+
+  for (let i = 0; i < count && sentences.length; i++) {
+    const sentence = sentences[(i + offset) % sentences.length];
+    const definition = sentence.match(/^(.{2,40}?)\s+(?:is|are|means|refers to)\s+(.+)$/i);
+    if (definition) {
+      cards.push({ type: "term", front: definition[1], back: definition[2] });
+    } else {
+      const keyWord = wordsOf(sentence).filter(w => w.length > 3).sort((a, b) => b.length - a.length)[0];
+      cards.push({ type: "qa", front: `What do your notes say about "${keyWord}"? (${i + offset + 1})`, back: sentence });
+    }
+  }
+
+  return JSON.stringify({ cards });
+}
+
+// Cuts long sentences at `maxWords` and lays them out in the requested style
+function mockSimplify(text, { style = "summary", maxSentenceWords = 0 } = {}) {
+  let sentences = sentencesOf(text).slice(0, 5);
+  if (!sentences.length) return text.trim();
+
+  if (maxSentenceWords) {
+    sentences = sentences.flatMap(sentence => {
+      const words = sentence.replace(/[.!?]$/, "").split(/\s+/);
+      const parts = [];
+      for (let i = 0; i < words.length; i += maxSentenceWords) {
+        parts.push(words.slice(i, i + maxSentenceWords).join(" ").replace(/[,;:]$/, "") + ".");
+      }
+      return parts;
+    });
+  }
+
+  if (style === "notes") return sentences.map(s => `- ${s}`).join("\n");
+  if (style === "story") return `Once upon a time, there was a lesson. ${sentences.join(" ")} The end.`;
+  return sentences.join(" ");
+}
+
+// Tags each string or line with the language code, keeping blanks and layout
+function mockTranslate(input, { language = "xx", strings } = {}) {
+  if (strings) return JSON.stringify(strings.map(s => `[${language}] ${s}`));
+  return input.split("\n").map(line => (line.trim() ? `[${language}] ${line}` : line)).join("\n");
+}
+
+// Accepts a question's best candidate when its word-overlap score reaches the
+// caller's threshold (the bar aiTasks uses without a verifier); candidates
+// arrive best first
+function mockVerify({ questions = [], threshold }) {
+  return JSON.stringify(questions.map(q => ({ id: q.id, sentence: q.candidates[0] >= threshold ? 1 : null })));
+}
+
+// One marking point per sentence of the model answer
+function mockRubric({ modelAnswer = "" }) {
+  const points = sentencesOf(modelAnswer).map(point => ({ point, marks: 1 }));
+  return JSON.stringify({ points: points.length ? points : [{ point: modelAnswer.trim(), marks: 1 }] });
+}
+
+// A point is awarded when the student uses half its key terms
+function mockMark({ points = [], userAnswer = "" }) {
+  const studentWords = new Set(wordsOf(userAnswer));
+
+  const marked = points.map((point, i) => {
+    const terms = [...new Set(wordsOf(point).filter(w => w.length > 3))];
+    const used = terms.filter(w => studentWords.has(w));
+    const awarded = terms.length > 0 && used.length * 2 >= terms.length;
+    return {
+      id: i + 1,
+      awarded,
+      reason: `Uses ${used.length} of ${terms.length} key terms${used.length ? ` (${used.join(", ")})` : ""}.`,
+    };
+  });
+
+  return JSON.stringify({
+    points: marked,
+    feedback: `Earned ${marked.filter(p => p.awarded).length} of ${points.length} marking points.`,
+  });
+}
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    async complete({ task, messages, meta = {}, signal, onDelta }) {
+      const input = messages.filter(m => m.role === "user").map(m => m.content).join("\n");
+      let content;
+
+      const sourceText = meta.text ?? input;
+      const count = meta.numQuestions || 5;
+
+      if (task === "extract") content = input.replace(/[ \t]+/g, " ").trim();
+      else if (task === "simplify") content = mockSimplify(sourceText, meta);
+      else if (task === "quiz" && meta.questionType) content = mockTasks(sourceText, meta.questionType, count, meta.avoid?.length);
+      else if (task === "quiz") content = mockQuiz(sourceText, count, meta.avoid?.length);
+      else if (task === "flashcards") content = mockFlashcards(sourceText, count, meta.avoid?.length);
+      else if (task === "rubric") content = mockRubric(meta);
+      else if (task === "mark") content = mockMark(meta);
+      else if (task === "translate") content = mockTranslate(input, meta);
+      else if (task === "verify") content = mockVerify(meta);
+      else content = input.trim();
+
+      if (onDelta) {
+        // A word at a time, slowly enough to watch it arrive
+        for (const piece of content.match(/\S+\s*/g) || []) {
+          if (signal?.aborted) break;
+          onDelta(piece);
+          await sleep(MOCK_STREAM_DELAY_MS);
+        }
+      }
+      if (signal?.aborted) {
+        const error = new LlmError("LLM request cancelled");
+        error.cancelled = true;
+        throw error;
+      }
+
+      const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        model: "mock",
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      };
+    },
+  };
+}
+
+// -------------------------------------------------------------------
+// Selection
+// -------------------------------------------------------------------
+let activeProvider;
+
+function withRetries(provider) {
+  return {
+    name: provider.name,
+    async complete(request) {
+      const totals = usageFor(request.task);
+
+      // Once text has been streamed to the caller a retry would repeat it, so stop retrying
+      let streamed = false;
+      const onDelta = request.onDelta && (delta => {
+        streamed = true;
+        request.onDelta(delta);
+      });
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await provider.complete({ ...request, onDelta });
+          totals.calls++;
+          totals.promptTokens += result.usage.promptTokens;
+          totals.completionTokens += result.usage.completionTokens;
+          totals.totalTokens += result.usage.totalTokens;
+
+          const scoped = usageScope.getStore();
+          if (scoped) {
+            scoped.calls++;
+            scoped.promptTokens += result.usage.promptTokens;
+            scoped.completionTokens += result.usage.completionTokens;
+            scoped.totalTokens += result.usage.totalTokens;
+          }
+          return result;
+        } catch (err) {
+          if (!err.retryable || streamed || attempt >= MAX_RETRIES) {
+            if (!err.cancelled) totals.failures++;
+            throw err;
+          }
+          totals.retries++;
+          const delay = retryDelay(attempt, err.retryAfter);
+          console.warn(`⚠️ ${provider.name} ${request.task} failed (${err.status || err.message}), retrying in ${Math.round(delay)}ms`);
+          await sleep(delay);
+        }
+      }
+    },
+  };
+}
+
+// Without an API key every request fails, rather than quietly serving mock text
+function createUnconfiguredProvider() {
+  return {
+    name: "unconfigured",
+    async complete() {
+      throw new LlmError("No LLM API key is configured (set LLM_API_KEY, or LLM_PROVIDER=mock for offline use)", { status: 503 });
+    },
+  };
+}
+
+/**
+ * Returns the configured LLM provider (built once). Never throws: without an
+ * API key the server still starts, but every completion fails until one is
+ * set. The mock provider is only used with LLM_PROVIDER=mock.
+ */
+export function getLlmProvider() {
+  if (activeProvider) return activeProvider;
+
+  const wanted = (process.env.LLM_PROVIDER || "auto").toLowerCase();
+  const key = wanted === "mock" || wanted === "local" ? null : apiKey();
+
+  let provider;
+  if (wanted === "mock") {
+    provider = createMockProvider();
+  } else if (wanted === "local") {
+    provider = createHttpProvider("local", process.env.LLM_BASE_URL || LOCAL_BASE_URL, process.env.LLM_API_KEY);
+  } else if (key) {
+    provider = createHttpProvider("openai", process.env.LLM_BASE_URL || OPENAI_BASE_URL, key);
+  } else {
+    console.error(`❌ LLM_PROVIDER=${wanted} but no LLM_API_KEY is set: AI requests will fail (LLM_PROVIDER=mock for offline use)`);
+    provider = createUnconfiguredProvider();
+  }
+
+  activeProvider = withRetries(provider);
+  console.log(`🤖 LLM provider: ${activeProvider.name}`);
+  return activeProvider;
+}
+
+/**
+ * Run `fn` and count the tokens of every completion it starts, including
+ * ones that finish after `fn` returns (e.g. an Express handler started by
+ * `next()`). Returns { result, usage }; `usage` keeps filling in until then.
+ */
+export function collectLlmUsage(fn) {
+  const usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  return { result: usageScope.run(usage, fn), usage };
+}
+
+export function getLlmUsage() {
+  return { provider: getLlmProvider().name, tasks: usageTotals };
+}
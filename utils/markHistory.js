@@ -0,0 +1,56 @@
+// utils/markHistory.js
+// ACCA marking history: one document per marked answer in
+// users/{uid}/accaMarks, so a learner can see how their mark for a question
+// changed over attempts.
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+import { fingerprint } from "./resultCache.js";
+
+const HISTORY_LIMIT = 50;
+
+function marksCollection(uid) {
+  return firestore.collection("users").doc(uid).collection("accaMarks");
+}
+
+/**
+ * Stable id for a question: the caller's questionId, or a fingerprint of the
+ * question text so the same question typed twice lands in the same history.
+ */
+export function questionKey({ questionId, question }) {
+  return questionId ? String(questionId) : `q_${fingerprint(question)}`;
+}
+
+export async function saveMark(uid, { questionId, paperId = null, question, userAnswer, result }) {
+  const ref = await marksCollection(uid).add({
+    questionId,
+    paperId,
+    question,
+    userAnswer,
+    score: result.score,
+    max_score: result.max_score,
+    percentage: result.percentage,
+    points: result.points,
+    feedback: result.feedback,
+    createdAt: Timestamp.now(),
+  });
+  return ref.id;
+}
+
+/**
+ * Newest first. Filtering by questionId is done without orderBy so no
+ * composite index is needed; one question never has many attempts.
+ */
+export async function listMarks(uid, { questionId } = {}) {
+  const query = questionId
+    ? marksCollection(uid).where("questionId", "==", questionId)
+    : marksCollection(uid).orderBy("createdAt", "desc").limit(HISTORY_LIMIT);
+
+  const snap = await query.get();
+  return snap.docs
+    .map(doc => {
+      const data = doc.data();
+      return { id: doc.id, ...data, createdAt: data.createdAt?.toMillis ? data.createdAt.toMillis() : data.createdAt };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, HISTORY_LIMIT);
+}
@@ -0,0 +1,130 @@
+// utils/markingSchema.js
+// Rubric-based marking for ACCA written answers.
+//
+// A rubric is a list of marking points { point, marks } whose marks add up to
+// the question's maxScore. Each marking run returns, per point,
+// { awarded: true|false, reason }; several runs are combined by majority so a
+// rerun gives the same mark.
+
+export const MAX_MARKING_POINTS = 40;
+
+/**
+ * Pull the first JSON object out of a model response (code fences and prose
+ * around it are ignored). Returns null when there is none.
+ */
+export function parseJsonObject(content) {
+  if (content && typeof content === "object") return content;
+  if (typeof content !== "string") return null;
+
+  const unfenced = content.replace(/```(?:json)?/gi, "").trim();
+  for (const candidate of [unfenced, unfenced.match(/\{[\s\S]*\}/)?.[0]]) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object") return parsed;
+    } catch {}
+  }
+  return null;
+}
+
+// Whole marks in proportion to `weights`, at least 1 each, summing to `total`
+function apportion(weights, total) {
+  const spare = total - weights.length;
+  const sum = weights.reduce((a, b) => a + b, 0) || 1;
+  const exact = weights.map(w => (w / sum) * spare);
+  const marks = exact.map(e => 1 + Math.floor(e));
+
+  let left = total - marks.reduce((a, b) => a + b, 0);
+  const order = exact.map((e, i) => ({ i, rest: e - Math.floor(e) })).sort((a, b) => b.rest - a.rest);
+  for (const { i } of order) {
+    if (left <= 0) break;
+    marks[i]++;
+    left--;
+  }
+  return marks;
+}
+
+/**
+ * Clean up marking points (strings or { point, marks } objects) and scale
+ * their marks to add up to maxScore. Returns { points, problems }; points is
+ * only usable when problems is empty.
+ */
+export function normalizeMarkingPoints(raw, maxScore) {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.points) ? raw.points : null;
+  if (!list) return { points: [], problems: ["no marking points"] };
+
+  const cleaned = list
+    .map(item => (typeof item === "string" ? { point: item } : item || {}))
+    .map(item => ({
+      point: String(item.point ?? item.text ?? item.description ?? "").trim(),
+      marks: Number(item.marks ?? item.mark ?? 1),
+    }))
+    .filter(item => item.point);
+
+  if (!cleaned.length) return { points: [], problems: ["no marking points"] };
+  if (cleaned.length > Math.min(maxScore, MAX_MARKING_POINTS)) {
+    return { points: [], problems: [`${cleaned.length} marking points is more than the ${maxScore} marks available`] };
+  }
+
+  const weights = cleaned.map(p => (Number.isFinite(p.marks) && p.marks > 0 ? p.marks : 1));
+  const marks = apportion(weights, maxScore);
+  return { points: cleaned.map((p, i) => ({ point: p.point, marks: marks[i] })), problems: [] };
+}
+
+/**
+ * Read one marking run. Expects { points: [{ id, awarded, reason }], feedback }.
+ * Returns { awards, feedback, problems } with one { awarded, reason } per point.
+ */
+export function parseMarkingRun(content, points) {
+  const parsed = parseJsonObject(content);
+  const list = Array.isArray(parsed?.points) ? parsed.points : null;
+  if (!list) return { awards: null, feedback: "", problems: ["response was not marking JSON"] };
+
+  const byId = new Map(list.map((entry, i) => [Number(entry?.id ?? i + 1), entry]));
+  const problems = [];
+  const awards = points.map((_, i) => {
+    const entry = byId.get(i + 1);
+    if (!entry || typeof entry.awarded !== "boolean") {
+      problems.push(`point ${i + 1} was not marked`);
+      return null;
+    }
+    return { awarded: entry.awarded, reason: String(entry.reason ?? "").trim() };
+  });
+
+  return {
+    awards: problems.length ? null : awards,
+    feedback: String(parsed.feedback ?? "").trim(),
+    problems,
+  };
+}
+
+/**
+ * Combine marking runs: a point is awarded when at least half the runs award
+ * it. `agreement` is the share of runs that agree with the decision.
+ * Returns { points, score, max_score, percentage }, score clamped to maxScore.
+ */
+export function tallyMarkingRuns(points, runs, maxScore) {
+  const marked = points.map((point, i) => {
+    const votes = runs.map(run => run.awards[i]);
+    const yes = votes.filter(v => v.awarded).length;
+    const awarded = yes * 2 >= votes.length;
+    const agreeing = votes.filter(v => v.awarded === awarded);
+
+    return {
+      point: point.point,
+      marks: point.marks,
+      awarded,
+      reason: agreeing.find(v => v.reason)?.reason || "",
+      agreement: Math.round((agreeing.length / votes.length) * 100) / 100,
+    };
+  });
+
+  const raw = marked.filter(p => p.awarded).reduce((sum, p) => sum + p.marks, 0);
+  const score = Math.max(0, Math.min(maxScore, raw));
+  return {
+    points: marked,
+    score,
+    max_score: maxScore,
+    percentage: maxScore ? Math.round((score / maxScore) * 100) : 0,
+  };
+}
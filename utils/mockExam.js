@@ -0,0 +1,243 @@
+// utils/mockExam.js
+// JAMB UTME-style mock exams: Use of English plus three subjects in one timed
+// sitting, drawn from every year of the JAMB past questions. Each subject is
+// scored out of 100 and the four add up to 400, as in the UTME.
+//
+// A session (utils/mockExamStore.js) keeps references to its questions
+// ({ subject, file, id, passage, optionCount, correct }) rather than copies;
+// the questions are read from the files whenever the session is opened.
+import { getCatalog, readPastQuestions } from "./pastQuestionCatalog.js";
+import { DS_CHOICES } from "./questionSchema.js";
+
+export const JAMB_MOCK = {
+  exam: "jamb",
+  compulsory: "english",
+  electives: 3,
+  questions: { english: 60 },
+  defaultQuestions: 40,
+  durationMinutes: 120,
+  subjectScore: 100,
+};
+
+// Answers that reach the server this soon after time is up still count, to
+// allow for the round trip of the last save
+export const LATE_ANSWER_GRACE_MS = 5 * 1000;
+
+export class MockExamError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MockExamError";
+    this.status = status;
+  }
+}
+
+function isAnswerable(item) {
+  return item.type === "mcq" || (item.type === "ds" && item.statements?.length === 2);
+}
+
+function optionsOf(item) {
+  return item.type === "ds" ? DS_CHOICES : item.options;
+}
+
+// Subject → { subject, label, questionCount, years, entries } for the exam's files
+async function subjectPools(config) {
+  const { entries } = await getCatalog();
+  const pools = new Map();
+
+  entries
+    .filter(e => e.exam === config.exam && (e.questionTypes.includes("mcq") || e.questionTypes.includes("ds")))
+    .forEach(e => {
+      if (!pools.has(e.subject)) {
+        pools.set(e.subject, { subject: e.subject, label: e.subjectLabel, questionCount: 0, years: [], entries: [] });
+      }
+      const pool = pools.get(e.subject);
+      pool.questionCount += e.questionCount;
+      pool.years.push(e.year);
+      pool.entries.push(e);
+    });
+  return pools;
+}
+
+/**
+ * What a mock exam can be made of: { compulsory, electives, choose,
+ * durationMinutes } with { subject, label, questionCount, years, questions }
+ * per subject (`questions` is how many a sitting sets).
+ */
+export async function mockExamOptions(config = JAMB_MOCK) {
+  const pools = await subjectPools(config);
+  const describe = ({ subject, label, questionCount, years }) => ({
+    subject, label, questionCount, years, questions: config.questions[subject] || config.defaultQuestions,
+  });
+
+  return {
+    exam: config.exam,
+    compulsory: pools.has(config.compulsory) ? describe(pools.get(config.compulsory)) : null,
+    electives: [...pools.values()].filter(p => p.subject !== config.compulsory).map(describe),
+    choose: config.electives,
+    durationMinutes: config.durationMinutes,
+  };
+}
+
+// A file's answerable questions as references, a passage's questions kept together
+async function blocksOf(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = await readPastQuestions(entry);
+    const groups = new Map();
+
+    data.quiz.filter(isAnswerable).forEach(item => {
+      const ref = { file: entry.id, id: item.id, passage: item.passage ?? null, optionCount: optionsOf(item).length, correct: item.correct };
+      if (ref.passage === null) return blocks.push([ref]);
+      if (!groups.has(ref.passage)) {
+        groups.set(ref.passage, []);
+        blocks.push(groups.get(ref.passage));
+      }
+      groups.get(ref.passage).push(ref);
+    });
+  }
+  return blocks;
+}
+
+// Blocks in random order until `wanted` questions; a passage group that won't fit is skipped
+function pickQuestions(blocks, wanted, random) {
+  const order = [...blocks];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const picked = [];
+  for (const block of order) {
+    if (picked.length + block.length <= wanted) picked.push(...block);
+    if (picked.length === wanted) break;
+  }
+  return picked;
+}
+
+/**
+ * Set a sitting: the compulsory subject plus `electives` (subject keys).
+ * Resolves to { subjects: [{ subject, label, count }], questions: [ref, ...] }
+ * with questions in subject order. Throws MockExamError for a bad choice.
+ */
+export async function buildMockExam(electives, config = JAMB_MOCK, random = Math.random) {
+  const pools = await subjectPools(config);
+  if (!pools.has(config.compulsory)) throw new MockExamError(`No ${config.compulsory} questions to set`, 503);
+
+  const chosen = [...new Set((Array.isArray(electives) ? electives : []).map(s => String(s).toLowerCase()))]
+    .filter(s => s !== config.compulsory);
+  if (chosen.length !== config.electives) {
+    throw new MockExamError(`Choose ${config.electives} subjects besides ${pools.get(config.compulsory).label}`);
+  }
+  const unknown = chosen.filter(s => !pools.has(s));
+  if (unknown.length) throw new MockExamError(`No ${config.exam} questions for ${unknown.join(", ")}`);
+
+  const subjects = [];
+  const questions = [];
+  for (const subject of [config.compulsory, ...chosen]) {
+    const pool = pools.get(subject);
+    const wanted = config.questions[subject] || config.defaultQuestions;
+    const picked = pickQuestions(await blocksOf(pool.entries), wanted, random);
+    subjects.push({ subject, label: pool.label, count: picked.length });
+    questions.push(...picked.map(ref => ({ subject, ...ref })));
+  }
+  return { subjects, questions };
+}
+
+/**
+ * The text of a session's questions, in order, without answers:
+ * { items: [{ subject, question, options, statements?, passage }], passages }
+ * where `passage` is a key into `passages` (or null).
+ */
+export async function loadQuestionContent(questions) {
+  const { entries } = await getCatalog();
+  const files = new Map();
+  for (const file of new Set(questions.map(q => q.file))) {
+    const entry = entries.find(e => e.id === file);
+    const data = entry ? await readPastQuestions(entry) : { quiz: [] };
+    files.set(file, new Map(data.quiz.map(item => [item.id, item])));
+  }
+
+  const passages = {};
+  const items = questions.map(ref => {
+    const file = files.get(ref.file);
+    const passage = ref.passage === null ? null : `${ref.file}#${ref.passage}`;
+    if (passage && !(passage in passages)) passages[passage] = file.get(ref.passage)?.passage ?? "";
+
+    // The file may have been edited since the exam was set
+    const item = file.get(ref.id);
+    if (!item || !isAnswerable(item)) {
+      return { subject: ref.subject, question: "This question is no longer in the question bank.", options: [], passage };
+    }
+    return {
+      subject: ref.subject,
+      question: item.question,
+      options: optionsOf(item),
+      ...(item.type === "ds" ? { statements: item.statements } : {}),
+      passage,
+    };
+  });
+  return { items, passages };
+}
+
+/**
+ * Check saved progress against the session's questions. `body` may hold
+ * answers (one option index or null per question), flagged (question
+ * indexes) and current (a question index). Returns the fields to save.
+ */
+export function readProgress(body, questions) {
+  const changes = {};
+  const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+  if (body.answers !== undefined) {
+    if (!Array.isArray(body.answers) || body.answers.length !== questions.length) {
+      throw new MockExamError(`answers must list all ${questions.length} questions`);
+    }
+    const bad = body.answers.findIndex((answer, i) => answer !== null && !isIndex(answer, questions[i].optionCount));
+    if (bad >= 0) throw new MockExamError(`answer ${bad + 1} is not one of its options`);
+    changes.answers = body.answers;
+  }
+
+  if (body.flagged !== undefined) {
+    if (!Array.isArray(body.flagged) || !body.flagged.every(i => isIndex(i, questions.length))) {
+      throw new MockExamError("flagged must be question indexes");
+    }
+    changes.flagged = [...new Set(body.flagged)].sort((a, b) => a - b);
+  }
+
+  if (body.current !== undefined) {
+    if (!isIndex(body.current, questions.length)) throw new MockExamError("current must be a question index");
+    changes.current = body.current;
+  }
+  return changes;
+}
+
+// Time left on the server's clock: a sitting runs for durationMs from
+// startedAt, whether or not the student is connected
+export function remainingTime({ startedAt, durationMs }, now = Date.now()) {
+  return Math.max(0, startedAt + durationMs - now);
+}
+
+// Whether answers sent at `now` came in too late to count (see LATE_ANSWER_GRACE_MS)
+export function isPastDeadline(session, now = Date.now()) {
+  return remainingTime(session, now - LATE_ANSWER_GRACE_MS) === 0;
+}
+
+/**
+ * Score a sitting: { subjects: [{ subject, label, total, answered, correct,
+ * score }], score, maxScore } with each subject scaled to `subjectScore`.
+ */
+export function gradeMockExam(subjects, questions, answers, config = JAMB_MOCK) {
+  const results = subjects.map(({ subject, label }) => {
+    const indexes = questions.map((q, i) => (q.subject === subject ? i : -1)).filter(i => i >= 0);
+    const answered = indexes.filter(i => answers[i] !== null && answers[i] !== undefined).length;
+    const correct = indexes.filter(i => answers[i] === questions[i].correct).length;
+    const score = indexes.length ? Math.round((correct / indexes.length) * config.subjectScore) : 0;
+    return { subject, label, total: indexes.length, answered, correct, score };
+  });
+
+  return {
+    subjects: results,
+    score: results.reduce((sum, r) => sum + r.score, 0),
+    maxScore: config.subjectScore * subjects.length,
+  };
+}
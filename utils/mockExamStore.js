@@ -0,0 +1,100 @@
+// utils/mockExamStore.js
+// Mock exam sittings saved per user in users/{uid}/mockExams, so an exam that
+// is interrupted can be picked up where it stopped. A sitting is "in_progress"
+// until it is submitted (by the student, or automatically when time runs out)
+// and then keeps its result.
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+import { gradeMockExam, remainingTime, isPastDeadline, JAMB_MOCK } from "./mockExam.js";
+
+const LIST_LIMIT = 20;
+
+function examsCollection(uid) {
+  return firestore.collection("users").doc(uid).collection("mockExams");
+}
+
+// Timestamps → millis for the API, with the time left as of now
+function toSession(doc) {
+  const data = doc.data();
+  const millis = value => (value?.toMillis ? value.toMillis() : value ?? null);
+  const session = {
+    id: doc.id,
+    ...data,
+    startedAt: millis(data.startedAt),
+    lastSavedAt: millis(data.lastSavedAt),
+    submittedAt: millis(data.submittedAt),
+  };
+  if (session.status === "in_progress") session.remainingMs = remainingTime(session);
+  return session;
+}
+
+/**
+ * Save a new sitting from buildMockExam's { subjects, questions }.
+ * Resolves to the saved session.
+ */
+export async function createSession(uid, { subjects, questions }, config = JAMB_MOCK) {
+  const now = Timestamp.now();
+  const ref = examsCollection(uid).doc();
+  const data = {
+    exam: config.exam,
+    subjects,
+    questions,
+    answers: questions.map(() => null),
+    flagged: [],
+    current: 0,
+    status: "in_progress",
+    durationMs: config.durationMinutes * 60 * 1000,
+    remainingMs: config.durationMinutes * 60 * 1000,
+    startedAt: now,
+    lastSavedAt: now,
+    submittedAt: null,
+    autoSubmitted: false,
+    result: null,
+  };
+  await ref.set(data);
+  return { id: ref.id, ...data, startedAt: now.toMillis(), lastSavedAt: now.toMillis() };
+}
+
+export async function getSession(uid, id) {
+  const snap = await examsCollection(uid).doc(id).get();
+  return snap.exists ? toSession(snap) : null;
+}
+
+// Newest first, without the questions
+export async function listSessions(uid) {
+  const snap = await examsCollection(uid).orderBy("startedAt", "desc").limit(LIST_LIMIT).get();
+  return snap.docs.map(toSession).map(({ questions, answers, flagged, ...summary }) => ({
+    ...summary,
+    questionCount: questions.length,
+    answered: answers.filter(answer => answer !== null).length,
+  }));
+}
+
+/**
+ * Save progress on an in-progress sitting and check its clock.
+ * With `submit`, or once no time is left, the sitting is graded and closed;
+ * `timedOut` marks a submit sent because the student's clock ran out.
+ * Changes sent after the deadline are dropped and the sitting is closed
+ * with the answers saved in time; the returned session then has `late: true`.
+ * Submitted sittings are returned unchanged. Resolves to the updated session.
+ */
+export async function advanceSession(uid, session, changes = {}, { submit = false, timedOut = false, now = Date.now() } = {}) {
+  if (session.status !== "in_progress") return session;
+
+  const late = Object.keys(changes).length > 0 && isPastDeadline(session, now);
+  if (late) changes = {};
+
+  const next = { ...session, ...changes, remainingMs: remainingTime(session, now), lastSavedAt: now };
+  const update = { ...changes, remainingMs: next.remainingMs, lastSavedAt: Timestamp.fromMillis(now) };
+
+  if (submit || late || next.remainingMs === 0) {
+    next.status = update.status = "submitted";
+    next.submittedAt = now;
+    update.submittedAt = Timestamp.fromMillis(now);
+    next.autoSubmitted = update.autoSubmitted = !submit || timedOut || late;
+    next.result = update.result = gradeMockExam(next.subjects, next.questions, next.answers);
+  }
+
+  await examsCollection(uid).doc(session.id).update(update);
+  return late ? { ...next, late } : next;
+}
@@ -0,0 +1,360 @@
+// utils/moderation.js
+// Child-safety screening for what goes into and comes out of the AI endpoints.
+//
+// Two outcomes besides "fine":
+//   blocked   violence, sexual content or self-harm: the text is refused
+//   redacted  personal data (phone numbers, email and street addresses) is
+//             replaced with a placeholder and the rest goes through
+//
+// MODERATION_PROVIDER = "openai" | "local" | "auto" (default: openai when a key exists)
+// MODERATION_API_KEY   (or OPENAI_API_KEY / LLM_API_KEY)
+// The moderation API only classifies the blocked categories: personal data is
+// always found by the local rules below, and those rules also stand in for the
+// API whenever it can't be reached. Every flagged item is logged to the
+// `moderationFlags` collection for review (with personal data already removed).
+import fetch from "node-fetch";
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+
+export const BLOCK_CATEGORIES = ["violence", "sexual", "self_harm"];
+
+const OPENAI_MODERATION_URL = "https://api.openai.com/v1/moderations";
+const MODERATION_MODEL = process.env.MODERATION_MODEL || "omni-moderation-latest";
+const TIMEOUT_MS = parseInt(process.env.MODERATION_TIMEOUT_MS || "5000", 10);
+const API_CHUNK_CHARS = 8000;
+const EXCERPT_CHARS = 200;
+
+// OpenAI category → ours. Plain "violence" is left out on purpose, like the
+// local rules: it flags ordinary history and literature notes.
+const API_CATEGORIES = {
+  "violence/graphic": "violence",
+  sexual: "sexual",
+  "sexual/minors": "sexual",
+  "self-harm": "self_harm",
+  "self-harm/intent": "self_harm",
+  "self-harm/instructions": "self_harm",
+};
+
+// Narrow on purpose: school notes are full of wars, bodies and history
+const BLOCK_RULES = {
+  violence: [
+    /\b(?:behead|decapitat|dismember|disembowel|mutilat)\w*/i,
+    /\b(?:gore|gory|bloodbath)\b/i,
+    /\bhow to (?:make|build) (?:a |an )?(?:bomb|gun|weapon|explosive)s?\b/i,
+    /\b(?:shoot|stab|kill|attack) (?:up )?(?:the|my|our) (?:school|class|teacher|classmates?)\b/i,
+  ],
+  sexual: [
+    /\bporn\w*/i,
+    /\b(?:xxx|nsfw|hentai|nudes|blowjob|handjob)\b/i,
+    /\b(?:masturbat|orgasm|erotic)\w*/i,
+    /\bsex (?:video|tape|chat|pic)s?\b/i,
+  ],
+  self_harm: [
+    /\b(?:kill|hurt|cut|harm|starve) (?:my ?self|myself)\b/i,
+    /\bself[- ]?harm\w*/i,
+    /\b(?:want|wanna|going) to die\b/i,
+    /\bend (?:my life|it all)\b/i,
+    /\b(?:suicidal|how to (?:commit )?suicide)\b/i,
+  ],
+};
+
+const PERSONAL_DATA = [
+  { type: "email", label: "[email removed]", pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  {
+    type: "phone",
+    label: "[phone number removed]",
+    pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\d{2,5}\)?(?:[\s.-]?\d{2,4}){2,4}/g,
+    // Years and amounts don't start with 0, + or (, and aren't 10–15 digits long
+    accept: match => /^[+0(]/.test(match) && /^\d{10,15}$/.test(match.replace(/\D/g, "")),
+  },
+  {
+    type: "address",
+    label: "[address removed]",
+    pattern: /\b\d{1,5}[A-Za-z]?,?\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Close|Crescent|Lane|Drive|Way|Boulevard|Blvd|Court|Terrace|Estate)\b\.?/g,
+  },
+  { type: "address", label: "[address removed]", pattern: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/g }, // UK postcode
+];
+
+export class ContentBlockedError extends Error {
+  constructor(categories, stage) {
+    super(categories.includes("self_harm")
+      ? "This looks like it talks about hurting yourself, so we can't use it. If you're feeling upset, please talk to a grown-up you trust."
+      : "This has content that isn't suitable for young learners, so we can't use it.");
+    this.name = "ContentBlockedError";
+    this.categories = categories;
+    this.stage = stage;
+  }
+}
+
+// -------------------------------------------------------------------
+// Local rules
+// -------------------------------------------------------------------
+export function ruleCategories(text) {
+  return BLOCK_CATEGORIES.filter(category => BLOCK_RULES[category].some(rule => rule.test(text)));
+}
+
+// Non-overlapping personal data matches, in order: [{ type, label, start, end }]
+export function findPersonalData(text) {
+  const found = [];
+  for (const { type, label, pattern, accept } of PERSONAL_DATA) {
+    for (const match of text.matchAll(pattern)) {
+      if (accept && !accept(match[0])) continue;
+      const start = match.index;
+      const end = start + match[0].trimEnd().length;
+      if (!found.some(f => start < f.end && end > f.start)) found.push({ type, label, start, end });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace personal data with placeholders.
+ * Returns { text, redactions } where redactions counts matches by type.
+ */
+export function redactPersonalData(text) {
+  const redactions = {};
+  let out = "";
+  let at = 0;
+  for (const match of findPersonalData(text)) {
+    out += text.slice(at, match.start) + match.label;
+    at = match.end;
+    redactions[match.type] = (redactions[match.type] || 0) + 1;
+  }
+  return { text: out + text.slice(at), redactions };
+}
+
+/**
+ * Map an offset into redactPersonalData(text).text back to the same place in
+ * `text`. An offset inside a placeholder maps to the start of what it replaced.
+ */
+export function originalOffset(text, offset) {
+  let shift = 0; // redacted position minus original position so far
+  for (const match of findPersonalData(text)) {
+    const placeholder = match.start + shift;
+    if (offset <= placeholder) break;
+    if (offset < placeholder + match.label.length) return match.start;
+    shift += match.label.length - (match.end - match.start);
+  }
+  return offset - shift;
+}
+
+// -------------------------------------------------------------------
+// Providers: classify(text) → blocked categories
+// -------------------------------------------------------------------
+function createOpenAiProvider(key) {
+  return {
+    name: "openai",
+    async classify(text) {
+      const input = [];
+      for (let i = 0; i < text.length; i += API_CHUNK_CHARS) input.push(text.slice(i, i + API_CHUNK_CHARS));
+
+      const response = await fetch(OPENAI_MODERATION_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${key}` },
+        body: JSON.stringify({ model: MODERATION_MODEL, input }),
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (!response.ok) throw new Error(`Moderation request failed (${response.status})`);
+
+      const data = await response.json();
+      const categories = new Set();
+      for (const result of data.results || []) {
+        for (const [name, flagged] of Object.entries(result.categories || {})) {
+          if (flagged && API_CATEGORIES[name]) categories.add(API_CATEGORIES[name]);
+        }
+      }
+      return [...categories];
+    },
+  };
+}
+
+const localProvider = { name: "local", classify: async text => ruleCategories(text) };
+
+// Falls back to the local rules when the API errors or times out
+function withFallback(provider) {
+  return {
+    name: provider.name,
+    async classify(text) {
+      try {
+        return { categories: await provider.classify(text), provider: provider.name };
+      } catch (err) {
+        console.warn("⚠️ Moderation API unavailable, using local rules:", err.message);
+        return { categories: ruleCategories(text), provider: localProvider.name };
+      }
+    },
+  };
+}
+
+let activeProvider = null;
+
+export function getModerationProvider() {
+  if (activeProvider) return activeProvider;
+
+  const wanted = (process.env.MODERATION_PROVIDER || "auto").toLowerCase();
+  const key = process.env.MODERATION_API_KEY || process.env.OPENAI_API_KEY || process.env.LLM_API_KEY;
+
+  if (wanted !== "local" && key) {
+    activeProvider = withFallback(createOpenAiProvider(key));
+  } else {
+    if (wanted === "openai") console.error("❌ MODERATION_PROVIDER=openai but no API key is set, using local rules");
+    activeProvider = withFallback(localProvider);
+  }
+
+  console.log(`🛡️ Moderation provider: ${activeProvider.name}`);
+  return activeProvider;
+}
+
+// -------------------------------------------------------------------
+// Screening
+// -------------------------------------------------------------------
+function excerptOf(text) {
+  const rule = BLOCK_CATEGORIES.flatMap(c => BLOCK_RULES[c]).map(r => text.search(r)).filter(i => i >= 0)[0] ?? 0;
+  const start = Math.max(0, rule - EXCERPT_CHARS / 2);
+  return redactPersonalData(text.slice(start, start + EXCERPT_CHARS)).text;
+}
+
+// Fire-and-forget: a slow or unreachable Firestore must not hold up the response
+function logFlag(entry) {
+  firestore.collection("moderationFlags")
+    .add({ ...entry, reviewed: false, createdAt: Timestamp.now() })
+    .catch(err => console.error("Moderation log error:", err));
+}
+
+/**
+ * Screen several strings as one piece of content (one API call).
+ * `stage` names where it came from ("ocr", "quiz-output", ...) for the log.
+ * Throws ContentBlockedError when blocked; otherwise resolves to
+ * { strings, redactions } with personal data removed.
+ */
+export async function screenStrings(strings, { stage, uid = null } = {}) {
+  const joined = strings.join("\n");
+  if (!joined.trim()) return { strings, redactions: {} };
+
+  const { categories, provider } = await getModerationProvider().classify(joined);
+  // The rules always apply: the API can miss what they are written for
+  const blocked = [...new Set([...categories, ...ruleCategories(joined)])];
+
+  if (blocked.length) {
+    logFlag({ stage, uid, action: "blocked", categories: blocked, provider, excerpt: excerptOf(joined) });
+    throw new ContentBlockedError(blocked, stage);
+  }
+
+  const redactions = {};
+  const cleaned = strings.map(s => {
+    const result = redactPersonalData(s);
+    for (const [type, n] of Object.entries(result.redactions)) redactions[type] = (redactions[type] || 0) + n;
+    return result.text;
+  });
+
+  if (Object.keys(redactions).length) {
+    logFlag({ stage, uid, action: "redacted", categories: ["personal_data"], redactions, provider, excerpt: excerptOf(joined) });
+  }
+  return { strings: cleaned, redactions };
+}
+
+export async function screenText(text, options) {
+  const { strings, redactions } = await screenStrings([text], options);
+  return { text: strings[0], redactions };
+}
+
+/**
+ * screenStrings over every string inside `value` (a quiz, a task list, ...).
+ * Resolves to { value, redactions } with the same shape as `value`.
+ */
+export async function screenValue(value, options) {
+  const strings = [];
+  const collect = v => {
+    if (typeof v === "string") strings.push(v);
+    else if (Array.isArray(v)) v.forEach(collect);
+    else if (v && typeof v === "object") Object.values(v).forEach(collect);
+  };
+  collect(value);
+
+  const { strings: cleaned, redactions } = await screenStrings(strings, options);
+  let i = 0;
+  const rebuild = v => {
+    if (typeof v === "string") return cleaned[i++];
+    if (Array.isArray(v)) return v.map(rebuild);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, rebuild(x)]));
+    return v;
+  };
+  return { value: rebuild(value), redactions };
+}
+
+/**
+ * Redact personal data in structured OCR pages (utils/ocrLayout.js), word by
+ * word so the page can still be drawn from its words: the first word of a
+ * match becomes the placeholder and the rest of the match is dropped.
+ */
+export function redactPages(pages) {
+  return pages.map(page => {
+    const blocks = page.blocks.map(block => {
+      const lines = block.lines.map(line => {
+        const matches = findPersonalData(line.text);
+        if (!matches.length) return line;
+
+        let at = 0;
+        const words = [];
+        for (const word of line.words) {
+          const start = line.text.indexOf(word.text, at);
+          const end = start + word.text.length;
+          at = end;
+          const match = matches.find(m => start < m.end && end > m.start);
+          if (!match) words.push(word);
+          else if (!match.used) {
+            match.used = true;
+            words.push({ ...word, text: match.label, lowConfidence: false });
+          } else {
+            words[words.length - 1].spaceAfter = word.spaceAfter;
+          }
+        }
+        const text = words.map(w => w.text + (w.spaceAfter ? " " : "")).join("").trim();
+        return { ...line, text, words };
+      });
+      return { ...block, lines, text: lines.map(l => l.text).join("\n") };
+    });
+    const words = blocks.flatMap(b => b.lines.flatMap(l => l.words));
+    return {
+      ...page,
+      blocks,
+      text: blocks.map(b => b.text).join("\n\n"),
+      lowConfidenceWords: words.filter(w => w.lowConfidence).length,
+    };
+  });
+}
+
+/**
+ * Wrap a streaming onDelta so the text is passed on a sentence at a time with
+ * personal data removed, and nothing more once a blocked category shows up
+ * (the final result is screened in full before it is sent). Call flush() when
+ * the stream ends.
+ */
+export function screenStream(onDelta) {
+  let buffer = "";
+  let blocked = false;
+
+  const release = upTo => {
+    const ready = buffer.slice(0, upTo);
+    buffer = buffer.slice(upTo);
+    if (blocked || !ready) return;
+    if (ruleCategories(ready).length) {
+      blocked = true;
+      return;
+    }
+    onDelta(redactPersonalData(ready).text);
+  };
+
+  return {
+    onDelta(delta) {
+      buffer += delta;
+      const boundaries = [...buffer.matchAll(/[.!?](?=\s)|\n/g)];
+      if (boundaries.length) {
+        const last = boundaries[boundaries.length - 1];
+        release(last.index + last[0].length);
+      }
+    },
+    flush() {
+      release(buffer.length);
+    },
+  };
+}
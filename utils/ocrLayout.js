@@ -0,0 +1,213 @@
+// utils/ocrLayout.js
+// Turns a Vision `fullTextAnnotation` into a structured document:
+// pages → blocks → lines → words, each with a bounding box and confidence.
+// Blocks are re-ordered so multi-column worksheets read column by column.
+
+// Break types that end a line (Vision may send enum names or numbers)
+const LINE_ENDING_BREAKS = new Set(["EOL_SURE_SPACE", "LINE_BREAK", "HYPHEN", 3, 4, 5]);
+const SPACE_BREAKS = new Set(["SPACE", "SURE_SPACE", 1, 2]);
+
+// A block this wide (relative to the page) is treated as a heading spanning all columns
+const SPANNING_BLOCK_RATIO = 0.6;
+
+export const DEFAULT_LOW_CONFIDENCE = parseFloat(process.env.OCR_LOW_CONFIDENCE || "0.8");
+
+// Vertices → { x, y, width, height }. Vision omits zero coordinates.
+function toBox(boundingBox) {
+  const vertices = boundingBox?.vertices || [];
+  if (!vertices.length) return null;
+
+  const xs = vertices.map(v => v.x || 0);
+  const ys = vertices.map(v => v.y || 0);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function unionBoxes(boxes) {
+  const valid = boxes.filter(Boolean);
+  if (!valid.length) return null;
+
+  const x = Math.min(...valid.map(b => b.x));
+  const y = Math.min(...valid.map(b => b.y));
+  const right = Math.max(...valid.map(b => b.x + b.width));
+  const bottom = Math.max(...valid.map(b => b.y + b.height));
+
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+function roundConfidence(value) {
+  return typeof value === "number" && value > 0 ? Math.round(value * 1000) / 1000 : null;
+}
+
+function average(values) {
+  const valid = values.filter(v => typeof v === "number");
+  if (!valid.length) return null;
+  return roundConfidence(valid.reduce((sum, v) => sum + v, 0) / valid.length);
+}
+
+// Split a Vision paragraph into lines using the detected breaks on each word's last symbol
+function paragraphToLines(paragraph, threshold) {
+  const lines = [];
+  let current = [];
+
+  const flush = () => {
+    if (!current.length) return;
+    lines.push({
+      text: current.map(w => w.text + (w.spaceAfter ? " " : "")).join("").trim(),
+      boundingBox: unionBoxes(current.map(w => w.boundingBox)),
+      confidence: average(current.map(w => w.confidence)),
+      words: current,
+    });
+    current = [];
+  };
+
+  for (const word of paragraph.words || []) {
+    const symbols = word.symbols || [];
+    const text = symbols.map(s => s.text).join("");
+    const breakType = symbols[symbols.length - 1]?.property?.detectedBreak?.type;
+    const confidence = roundConfidence(word.confidence);
+
+    current.push({
+      text,
+      boundingBox: toBox(word.boundingBox),
+      confidence,
+      lowConfidence: confidence !== null && confidence < threshold,
+      spaceAfter: SPACE_BREAKS.has(breakType),
+    });
+
+    if (LINE_ENDING_BREAKS.has(breakType)) flush();
+  }
+
+  flush();
+  return lines;
+}
+
+// Group blocks into columns (left → right) and read each column top → bottom.
+// Blocks that span most of the page split the page into horizontal bands.
+export function orderBlocksByColumns(blocks, pageWidth) {
+  const positioned = blocks.filter(b => b.boundingBox);
+  const unpositioned = blocks.filter(b => !b.boundingBox);
+  const widest = pageWidth || Math.max(0, ...positioned.map(b => b.boundingBox.x + b.boundingBox.width));
+
+  const byTop = [...positioned].sort((a, b) => a.boundingBox.y - b.boundingBox.y);
+  const bands = [];
+  let band = [];
+
+  for (const block of byTop) {
+    if (widest && block.boundingBox.width >= widest * SPANNING_BLOCK_RATIO) {
+      if (band.length) bands.push(band);
+      bands.push([block]);
+      band = [];
+    } else {
+      band.push(block);
+    }
+  }
+  if (band.length) bands.push(band);
+
+  const ordered = [];
+
+  for (const members of bands) {
+    const columns = [];
+
+    for (const block of [...members].sort((a, b) => a.boundingBox.x - b.boundingBox.x)) {
+      const left = block.boundingBox.x;
+      const right = left + block.boundingBox.width;
+
+      const column = columns.find(col => {
+        const overlap = Math.min(right, col.right) - Math.max(left, col.left);
+        return overlap > 0.5 * Math.min(right - left, col.right - col.left);
+      });
+
+      if (column) {
+        column.blocks.push(block);
+        column.left = Math.min(column.left, left);
+        column.right = Math.max(column.right, right);
+      } else {
+        columns.push({ left, right, blocks: [block] });
+      }
+    }
+
+    columns
+      .sort((a, b) => a.left - b.left)
+      .forEach(col => {
+        ordered.push(...col.blocks.sort((a, b) => a.boundingBox.y - b.boundingBox.y));
+      });
+  }
+
+  return [...ordered, ...unpositioned];
+}
+
+/**
+ * Build the structured document for one image's annotation.
+ * `pageOffset` keeps page numbers running across multiple uploaded images.
+ */
+export function buildStructuredPages(fullTextAnnotation, { pageOffset = 0, threshold = DEFAULT_LOW_CONFIDENCE } = {}) {
+  const pages = fullTextAnnotation?.pages || [];
+
+  return pages.map((page, pageIndex) => {
+    const blocks = (page.blocks || []).map(block => {
+      const lines = (block.paragraphs || []).flatMap(p => paragraphToLines(p, threshold));
+      return {
+        type: block.blockType || "TEXT",
+        text: lines.map(l => l.text).join("\n"),
+        boundingBox: toBox(block.boundingBox),
+        confidence: roundConfidence(block.confidence) ?? average(lines.map(l => l.confidence)),
+        lines,
+      };
+    }).filter(b => b.lines.length);
+
+    const orderedBlocks = orderBlocksByColumns(blocks, page.width);
+    const words = orderedBlocks.flatMap(b => b.lines.flatMap(l => l.words));
+
+    return {
+      pageNumber: pageOffset + pageIndex + 1,
+      width: page.width || null,
+      height: page.height || null,
+      confidence: roundConfidence(page.confidence) ?? average(words.map(w => w.confidence)),
+      languages: (page.property?.detectedLanguages || []).map(l => l.languageCode).filter(Boolean),
+      text: orderedBlocks.map(b => b.text).join("\n\n"),
+      lowConfidenceWords: words.filter(w => w.lowConfidence).length,
+      blocks: orderedBlocks,
+    };
+  });
+}
+
+/**
+ * Most likely language of an annotation as { code, confidence }, or null.
+ * Page-level detections are weighted by page confidence; plain text
+ * detection only reports a locale on its first annotation.
+ */
+export function detectLanguage(annotation) {
+  const scores = {};
+
+  for (const page of annotation?.fullTextAnnotation?.pages || []) {
+    for (const lang of page.property?.detectedLanguages || []) {
+      if (!lang.languageCode) continue;
+      scores[lang.languageCode] = (scores[lang.languageCode] || 0) + (lang.confidence || 1) * (page.confidence || 1);
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length) {
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    return { code: ranked[0][0], confidence: roundConfidence(ranked[0][1] / total) };
+  }
+
+  const locale = annotation?.textAnnotations?.[0]?.locale;
+  return locale ? { code: locale, confidence: null } : null;
+}
+
+/**
+ * Average word confidence across an annotation (null when Vision gave none,
+ * e.g. for plain text detection).
+ */
+export function annotationConfidence(annotation) {
+  const confidences = (annotation?.fullTextAnnotation?.pages || []).flatMap(page =>
+    (page.blocks || []).flatMap(block =>
+      (block.paragraphs || []).flatMap(p => (p.words || []).map(w => w.confidence))
+    )
+  );
+  return average(confidences);
+}
@@ -0,0 +1,275 @@
+// utils/ocrProviders.js
+// OCR provider layer behind /api/ocr.
+//
+// Every provider exposes `detect(base64, { structured, mode, languageHints })`
+// and resolves to a Vision-shaped annotation ({ fullTextAnnotation,
+// textAnnotations }) so the route and utils/ocrLayout.js don't care which
+// engine produced it. Every annotation names the engine that read it in
+// `provider` (the fallback's name when the fallback was used), and providers
+// that know how the image was read also set `mode` ("printed" | "handwriting").
+//
+// OCR_PROVIDER = "google" | "local" | "auto" (default: google when credentials exist)
+// OCR_FALLBACK = "local" | "none"            (default: none; "local" is for
+//                                             development, see the local provider)
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ImageAnnotatorClient } from "@google-cloud/vision";
+import { cached } from "./resultCache.js";
+import { annotationConfidence } from "./ocrLayout.js";
+
+export const OCR_MODES = ["printed", "handwriting", "auto"];
+export const OCR_LANGUAGES = ["en", "yo", "ig", "ha", "fr"];
+
+// Vision has a dedicated handwriting model for these hints
+const HANDWRITING_HINTS = { en: "en-t-i0-handwrit" };
+
+// In auto mode, a document read below this average confidence is retried as handwriting
+const AUTO_HANDWRITING_BELOW = parseFloat(process.env.OCR_AUTO_HANDWRITING_BELOW || "0.75");
+
+// -------------------------------------------------------------------
+// Google Vision
+// -------------------------------------------------------------------
+function createVisionClient() {
+  if (process.env.GOOGLE_CREDENTIALS_JSON) {
+    try {
+      const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
+      console.log("✅ Vision client initialized with inline JSON");
+      return new ImageAnnotatorClient({ credentials });
+    } catch (err) {
+      console.error("❌ Invalid GOOGLE_CREDENTIALS_JSON", err);
+      return null;
+    }
+  }
+
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    if (!fs.existsSync(process.env.GOOGLE_APPLICATION_CREDENTIALS)) {
+      console.error("❌ Vision credentials file not found");
+      return null;
+    }
+    console.log("✅ Vision client initialized with key file");
+    return new ImageAnnotatorClient({
+      keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    });
+  }
+
+  console.warn("⚠️ No Google Vision credentials found");
+  return null;
+}
+
+function handwritingHints(languageHints) {
+  if (!languageHints.length) return [HANDWRITING_HINTS.en];
+  return languageHints.map(lang => HANDWRITING_HINTS[lang] || lang);
+}
+
+function createGoogleVisionProvider() {
+  const client = createVisionClient();
+  if (!client) return null;
+
+  async function run(content, { dense, languageHints }) {
+    const request = { image: { content } };
+    if (languageHints.length) request.imageContext = { languageHints };
+
+    const [annotation] = dense
+      ? await client.documentTextDetection(request)
+      : await client.textDetection(request);
+    return annotation;
+  }
+
+  return {
+    name: "google",
+    async detect(content, { structured = false, mode = "printed", languageHints = [] } = {}) {
+      if (mode === "handwriting") {
+        const annotation = await run(content, { dense: true, languageHints: handwritingHints(languageHints) });
+        return { ...annotation, mode: "handwriting" };
+      }
+
+      // Word-level confidence is only filled in by document text detection
+      const printed = await run(content, { dense: structured || mode === "auto", languageHints });
+      if (mode !== "auto") return { ...printed, mode: "printed" };
+
+      const confidence = annotationConfidence(printed);
+      const retryHints = handwritingHints(languageHints);
+      const sameHints = retryHints.join() === languageHints.join();
+      if (sameHints || (confidence !== null && confidence >= AUTO_HANDWRITING_BELOW)) {
+        return { ...printed, mode: "printed" };
+      }
+
+      const handwritten = await run(content, { dense: true, languageHints: retryHints });
+      return (annotationConfidence(handwritten) ?? 0) > (confidence ?? 0)
+        ? { ...handwritten, mode: "handwriting" }
+        : { ...printed, mode: "printed" };
+    },
+  };
+}
+
+// -------------------------------------------------------------------
+// Local (offline) provider
+// -------------------------------------------------------------------
+// Fixture-backed: looks in OCR_FIXTURES_DIR (default ./fixtures/ocr) for
+// <sha256 of image bytes>.json (a saved Vision annotation) or .txt (plain
+// text), then default.json / default.txt. The fixtures aren't part of the
+// repo; supply your own. An image with no fixture fails with
+// OcrFixtureMissingError rather than reading as empty.
+export class OcrFixtureMissingError extends Error {
+  constructor(dir) {
+    super(`No OCR fixture for this image in ${dir} (add <sha256>.txt, <sha256>.json or default.txt)`);
+    this.name = "OcrFixtureMissingError";
+  }
+}
+
+// Wrap plain text in a Vision-shaped annotation, one block per paragraph
+export function textToAnnotation(text) {
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  let y = 0;
+
+  const blocks = paragraphs.map(paragraph => {
+    const lines = paragraph.split("\n");
+    const top = y;
+    y += lines.length * 20 + 20;
+
+    const words = lines.flatMap(line => {
+      const tokens = line.split(/\s+/).filter(Boolean);
+      return tokens.map((token, i) => ({
+        confidence: 1,
+        symbols: [...token].map((ch, j) => ({
+          text: ch,
+          property: j === token.length - 1
+            ? { detectedBreak: { type: i === tokens.length - 1 ? "LINE_BREAK" : "SPACE" } }
+            : undefined,
+        })),
+      }));
+    });
+
+    return {
+      blockType: "TEXT",
+      confidence: 1,
+      boundingBox: { vertices: [{ x: 0, y: top }, { x: 1000, y: top }, { x: 1000, y: y - 20 }, { x: 0, y: y - 20 }] },
+      paragraphs: [{ confidence: 1, words }],
+    };
+  });
+
+  return {
+    fullTextAnnotation: { text, pages: [{ width: 1000, height: y, confidence: 1, blocks }] },
+    textAnnotations: text ? [{ description: text }] : [],
+  };
+}
+
+function readFixture(dir, name) {
+  const jsonPath = path.join(dir, `${name}.json`);
+  if (fs.existsSync(jsonPath)) {
+    const saved = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    return Array.isArray(saved) ? saved[0] : saved;
+  }
+
+  const txtPath = path.join(dir, `${name}.txt`);
+  if (fs.existsSync(txtPath)) {
+    return textToAnnotation(fs.readFileSync(txtPath, "utf8").trim());
+  }
+
+  return null;
+}
+
+function createLocalProvider() {
+  const dir = path.resolve(process.cwd(), process.env.OCR_FIXTURES_DIR || "fixtures/ocr");
+  if (!fs.existsSync(dir)) console.error(`❌ OCR fixtures folder ${dir} not found: local OCR can't read any image`);
+
+  return {
+    name: "local",
+    async detect(content) {
+      const hash = crypto.createHash("sha256").update(Buffer.from(content, "base64")).digest("hex");
+      const annotation = readFixture(dir, hash) || readFixture(dir, "default");
+      if (!annotation) throw new OcrFixtureMissingError(dir);
+      return annotation;
+    },
+  };
+}
+
+// -------------------------------------------------------------------
+// Selection
+// -------------------------------------------------------------------
+let activeProvider;
+
+// Stamp each annotation with the engine that produced it
+function labelled(provider) {
+  return {
+    name: provider.name,
+    async detect(content, options) {
+      return { ...(await provider.detect(content, options)), provider: provider.name };
+    },
+  };
+}
+
+function withFallback(primary, fallback) {
+  if (!fallback) return primary;
+
+  return {
+    name: primary.name,
+    async detect(content, options) {
+      try {
+        return await primary.detect(content, options);
+      } catch (err) {
+        console.warn(`⚠️ ${primary.name} OCR failed, falling back to ${fallback.name}:`, err.message);
+        try {
+          return await fallback.detect(content, options);
+        } catch (fallbackErr) {
+          // The primary provider's error is the one worth reporting
+          console.warn(`⚠️ ${fallback.name} OCR fallback failed too:`, fallbackErr.message);
+          throw err;
+        }
+      }
+    },
+  };
+}
+
+// Same image bytes + same mode → one paid OCR call. Only the paid provider is
+// cached, so fallback output is never stored (or served) as its result.
+function withCache(provider) {
+  return {
+    name: provider.name,
+    detect(content, options = {}) {
+      return cached(
+        {
+          namespace: "ocr",
+          version: provider.name,
+          params: {
+            structured: Boolean(options.structured),
+            mode: options.mode || "printed",
+            languageHints: options.languageHints || [],
+          },
+          content: Buffer.from(content, "base64"),
+        },
+        () => provider.detect(content, options),
+        { shouldCache: annotation => Boolean(annotation?.fullTextAnnotation?.text || annotation?.textAnnotations?.length) }
+      );
+    },
+  };
+}
+
+/**
+ * Returns the configured OCR provider (built once), or null when none is usable.
+ * Never throws: without Vision credentials there is no OCR unless
+ * OCR_PROVIDER=local or OCR_FALLBACK=local.
+ */
+export function getOcrProvider() {
+  if (activeProvider !== undefined) return activeProvider;
+
+  const wanted = (process.env.OCR_PROVIDER || "auto").toLowerCase();
+  const useFallback = (process.env.OCR_FALLBACK || "none").toLowerCase() === "local";
+
+  if (wanted === "local") {
+    activeProvider = labelled(createLocalProvider());
+  } else {
+    const fallback = useFallback ? labelled(createLocalProvider()) : null;
+    const google = createGoogleVisionProvider();
+    if (google) {
+      activeProvider = withFallback(withCache(labelled(google)), fallback);
+    } else {
+      if (wanted === "google") console.error("❌ OCR_PROVIDER=google but Vision is unavailable");
+      activeProvider = fallback;
+    }
+  }
+
+  console.log(`🔎 OCR provider: ${activeProvider ? activeProvider.name : "none"}`);
+  return activeProvider;
+}
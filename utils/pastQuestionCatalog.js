@@ -0,0 +1,182 @@
+// utils/pastQuestionCatalog.js
+// Catalog of the past-question files in public/past_questions, built from the
+// files themselves so the menu, the feed and /api/past-questions never ask for
+// a file that doesn't exist.
+//
+// File names are `<exam>_<year>_<subject>.json`; each entry describes one file:
+//   { id, file, exam, examLabel, year, yearLabel, subject, subjectLabel, title,
+//     questionCount, passageCount, taskCount, questionTypes, source, batch }
+// `subject` is the lower-cased subject from the file name ("economics", "f3_a").
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PAST_QUESTIONS_DIR = path.join(__dirname, "..", "public", "past_questions");
+const PUBLIC_PREFIX = "past_questions";
+
+// Menu order; `yearLabel` for exams whose "year" is really an edition
+export const EXAMS = [
+  { id: "jamb", label: "JAMB" },
+  { id: "common_entrance", label: "Common Entrance" },
+  { id: "GMAT", label: "GMAT", yearLabel: year => `${year}th Edition` },
+  { id: "ACCA", label: "ACCA" },
+];
+
+const SUBJECT_LABELS = {
+  maths: "Mathematics",
+  literature: "Literature in English",
+  f1: "F1",
+  f3_a: "F3 Section A",
+  f3_b: "F3 Section B",
+  f3_bcd: "F3 Section B (single task)",
+  f3_c: "F3 Section C",
+};
+
+// "verbal_and_vocational_aptitude" / "problemSolving1" → "Verbal And Vocational Aptitude" / "Problem Solving 1"
+function humanize(subject) {
+  return subject
+    .replace(/([a-z])([A-Z0-9])/g, "$1 $2")
+    .split(/[_\s]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(" ")
+    .replace(/ And /g, " and ");
+}
+
+export function parseFileName(name) {
+  const match = name.match(/^(.+?)_(\d+)_(.+)\.json$/);
+  const exam = match && EXAMS.find(e => e.id === match[1]);
+  if (!exam) return null;
+
+  const year = Number(match[2]);
+  const subject = match[3].toLowerCase();
+  return {
+    id: name.replace(/\.json$/, ""),
+    file: `${PUBLIC_PREFIX}/${name}`,
+    exam: exam.id,
+    examLabel: exam.label,
+    year,
+    yearLabel: exam.yearLabel ? exam.yearLabel(year) : String(year),
+    subject,
+    subjectLabel: SUBJECT_LABELS[subject] || humanize(match[3]),
+  };
+}
+
+// Some files are a list of sections ({ subject, year, quiz }), most a single one
+export function sectionsOf(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === "object" && !Array.isArray(data.quiz) && data[0]) return Object.values(data);
+  return [data];
+}
+
+// "passage" for comprehension texts and section headings, otherwise the kind of question
+export function questionType(item) {
+  if (Array.isArray(item.tasks) || item.type === "mtq") return "mtq";
+  if (item.type === "ds") return "ds";
+  if (item.input_type) return item.input_type;
+  if (item.type === "passage" || (item.passage && !item.question)) return "passage";
+  const options = Array.isArray(item.options) ? item.options : Object.values(item.options || {});
+  return options.length ? "mcq" : "passage";
+}
+
+/**
+ * Describe one parsed file: counts, question types and where it came from.
+ */
+export function describeQuestions(data) {
+  const sections = sectionsOf(data).filter(s => s && Array.isArray(s.quiz));
+  const items = sections.flatMap(s => s.quiz).filter(item => item && typeof item === "object");
+  const first = sections[0] || {};
+
+  // Data Sufficiency questions can't be answered without their two statements
+  const answerable = items.filter(item => !(questionType(item) === "ds" && item.statements?.length !== 2));
+  const types = answerable.map(questionType);
+  const questions = answerable.filter((item, i) => types[i] !== "passage");
+  return {
+    title: first.title || first.subject || null,
+    questionCount: questions.length,
+    passageCount: types.length - questions.length,
+    taskCount: questions.reduce((sum, q) => sum + (Array.isArray(q.tasks) ? q.tasks.length : 0), 0),
+    questionTypes: [...new Set(types.filter(t => t !== "passage"))],
+    source: first.source || (typeof first.year === "string" ? first.year : null),
+    batch: first.batch || null,
+  };
+}
+
+/**
+ * Read every file in `dir`. Resolves to { entries, skipped } where skipped
+ * lists files that aren't named <exam>_<year>_<subject>.json or don't parse.
+ */
+export async function buildCatalog(dir = PAST_QUESTIONS_DIR) {
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith(".json")).sort();
+  const entries = [];
+  const skipped = [];
+
+  for (const name of names) {
+    const entry = parseFileName(name);
+    if (!entry) {
+      skipped.push({ file: name, reason: "name is not <exam>_<year>_<subject>.json" });
+      continue;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+      const described = describeQuestions(data);
+      if (!described.questionCount) {
+        skipped.push({ file: name, reason: "no questions that can be answered" });
+        continue;
+      }
+      entries.push({ ...entry, ...described });
+    } catch (err) {
+      skipped.push({ file: name, reason: `invalid JSON: ${err.message}` });
+    }
+  }
+
+  const examOrder = id => EXAMS.findIndex(e => e.id === id);
+  entries.sort((a, b) =>
+    examOrder(a.exam) - examOrder(b.exam) || a.year - b.year || a.subjectLabel.localeCompare(b.subjectLabel, "en", { numeric: true })
+  );
+  return { entries, skipped };
+}
+
+// Rebuilt whenever a file is added, removed or changed
+let cached = null;
+let cachedSignature = null;
+
+async function directorySignature(dir) {
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith(".json")).sort();
+  const stats = await Promise.all(names.map(name => fs.stat(path.join(dir, name))));
+  return names.map((name, i) => `${name}:${stats[i].mtimeMs}:${stats[i].size}`).join("|");
+}
+
+export async function getCatalog() {
+  const signature = await directorySignature(PAST_QUESTIONS_DIR);
+  if (cached && signature === cachedSignature) return cached;
+
+  cached = await buildCatalog(PAST_QUESTIONS_DIR);
+  cachedSignature = signature;
+  cached.skipped.forEach(s => console.warn(`⚠️ Past questions: skipped ${s.file} (${s.reason})`));
+  return cached;
+}
+
+// The parsed contents of one catalog entry's file
+export async function readPastQuestions(entry) {
+  return JSON.parse(await fs.readFile(path.join(PAST_QUESTIONS_DIR, `${entry.id}.json`), "utf8"));
+}
+
+/**
+ * Filter catalog entries. Every filter is optional and case-insensitive:
+ * { exam, year, subject, type, q } where `type` is one of questionTypes and
+ * `q` searches the subject label and title.
+ */
+export function filterCatalog(entries, { exam, year, subject, type, q } = {}) {
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const search = q ? String(q).toLowerCase() : null;
+
+  return entries.filter(entry =>
+    (!exam || same(entry.exam, exam)) &&
+    (!year || same(entry.year, year)) &&
+    (!subject || same(entry.subject, subject)) &&
+    (!type || entry.questionTypes.some(t => same(t, type))) &&
+    (!search || `${entry.subjectLabel} ${entry.title || ""}`.toLowerCase().includes(search))
+  );
+}
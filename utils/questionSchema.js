@@ -0,0 +1,328 @@
+// utils/questionSchema.js
+// The one format for files in public/past_questions, and the repairs that turn
+// older files into it (see scripts/pastQuestions.js).
+//
+// A file is { exam, year, subject, title, source, batch, quiz } where `subject`
+// is the lower-cased key from the file name and `quiz` holds, in order:
+//   mcq      { id, type: "mcq", question, options: [string, ...], correct: index }
+//            any number of options (at least two)
+//   ds       { id, type: "ds", question, statements: [(1), (2)], correct: index }
+//            GMAT Data Sufficiency; the options are always DS_CHOICES
+//   mtq      { id, type: "mtq", question, tasks: [task, ...] }   (see TASK_TYPES)
+//   passage  { id, type: "passage", passage }   comprehension text or a section heading
+// Ids are positive whole numbers, unique within the file. Questions that belong
+// to a passage carry `passage: <id of the passage item>`. Items may also carry
+// `section` (when a file had several sections) and `explanation`.
+import { parseFileName, sectionsOf } from "./pastQuestionCatalog.js";
+
+export const QUESTION_TYPES = ["mcq", "ds", "mtq", "passage"];
+export const TASK_TYPES = ["number", "written", "choice", "true_false"];
+
+// The standard Data Sufficiency answer choices, A–E
+export const DS_CHOICES = [
+  "Statement (1) ALONE is sufficient, but statement (2) alone is not sufficient.",
+  "Statement (2) ALONE is sufficient, but statement (1) alone is not sufficient.",
+  "BOTH statements TOGETHER are sufficient, but NEITHER statement ALONE is sufficient.",
+  "EACH statement ALONE is sufficient.",
+  "Statements (1) and (2) TOGETHER are NOT sufficient.",
+];
+
+const OPTIONAL_FIELDS = ["explanation", "section"];
+const DROPPED_FIELDS = ["userInput"];
+
+// "B", "b", "(B)", "B." → "B"
+function answerLetter(value) {
+  const match = String(value).trim().match(/^\(?([A-Za-z])[).]?$/);
+  return match ? match[1].toUpperCase() : null;
+}
+
+function readOptions(raw) {
+  if (Array.isArray(raw)) return { options: raw.map(o => String(o ?? "").trim()), letters: null };
+  const letters = Object.keys(raw).map(k => k.trim().toUpperCase());
+  const order = letters.map((letter, i) => [letter, i]).sort((a, b) => a[0].localeCompare(b[0]));
+  const values = Object.values(raw);
+  return {
+    options: order.map(([, i]) => String(values[i] ?? "").trim()),
+    letters: order.map(([letter]) => letter),
+  };
+}
+
+// Index of the right option, or an error message
+function readCorrect(value, options, letters) {
+  if (value === undefined || value === null || value === "") return { error: "no answer" };
+
+  if (typeof value === "number") {
+    return Number.isInteger(value) && value >= 0 && value < options.length
+      ? { index: value }
+      : { error: `answer ${value} is outside the ${options.length} options` };
+  }
+
+  const letter = answerLetter(value);
+  if (letter) {
+    const index = letters ? letters.indexOf(letter) : letter.charCodeAt(0) - 65;
+    return index >= 0 && index < options.length
+      ? { index }
+      : { error: `answer "${value}" is not one of the options` };
+  }
+
+  // The answer written out in full
+  const index = options.findIndex(o => o.toLowerCase() === String(value).trim().toLowerCase());
+  return index >= 0 ? { index, fixed: "answer given as option text" } : { error: `answer "${value}" is not one of the options` };
+}
+
+// Older DS files spell the five choices out on every question ("(1) only", "(2) only", ...)
+function isDataSufficiency(options) {
+  return options.length === DS_CHOICES.length &&
+    /^\(1\)/.test(options[0]) && /^\(2\)/.test(options[1]) && /together/i.test(options[2]);
+}
+
+function validateTask(task, label) {
+  const problems = [];
+  const type = task.input_type;
+  if (!String(task.task || "").trim()) problems.push(`${label}: no task text`);
+  if (!TASK_TYPES.includes(type)) {
+    problems.push(`${label}: input_type must be one of ${TASK_TYPES.join(", ")}`);
+  } else if (type === "number" && !Number.isFinite(Number(task.correct))) {
+    problems.push(`${label}: no numeric answer`);
+  } else if (type === "written" && !(Array.isArray(task.expected_keywords) && task.expected_keywords.length) && !task.model_answer) {
+    problems.push(`${label}: needs expected_keywords or a model_answer`);
+  } else if (type === "true_false" && typeof task.correct !== "boolean") {
+    problems.push(`${label}: answer must be true or false`);
+  } else if (type === "choice") {
+    const options = Array.isArray(task.options) ? task.options : [];
+    if (options.length < 2) problems.push(`${label}: needs at least two options`);
+    else if (!(Number.isInteger(task.correct) && task.correct >= 0 && task.correct < options.length)) {
+      problems.push(`${label}: answer is outside the options`);
+    }
+  }
+  return problems;
+}
+
+function withoutDropped(object) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !DROPPED_FIELDS.includes(key)));
+}
+
+// Tasks answer in `correct` like questions do
+function normalizeTask(raw, label, fixes) {
+  const { answer, ...task } = withoutDropped(raw);
+  if (task.correct === undefined && answer !== undefined) {
+    fixes.push(`${label}: \`answer\` renamed to \`correct\``);
+    return { ...task, correct: answer };
+  }
+  return answer === undefined ? task : { ...task, answer };
+}
+
+/**
+ * Repair one raw quiz item. Returns { item, errors, fixes }: `item` is null
+ * when the item can't be used (errors says why); fixes lists what was changed.
+ */
+export function normalizeQuestion(raw) {
+  if (!raw || typeof raw !== "object") return { item: null, errors: ["not an object"], fixes: [] };
+
+  const extras = Object.fromEntries(OPTIONAL_FIELDS.filter(f => raw[f] !== undefined).map(f => [f, raw[f]]));
+  const question = String(raw.question ?? "").trim();
+  const fixes = [];
+  // On a question, `passage` is the id of the passage it belongs to
+  const isPassage = raw.type === "passage" || typeof raw.passage === "string";
+  const link = !isPassage && raw.passage !== undefined ? { passage: raw.passage } : {};
+
+  // MTQ, or a single task written as a question
+  if (Array.isArray(raw.tasks) || raw.type === "mtq" || raw.input_type) {
+    const tasks = Array.isArray(raw.tasks)
+      ? raw.tasks.map((task, i) => normalizeTask(task, `task ${i + 1}`, fixes))
+      : [normalizeTask({ task: question, input_type: raw.input_type, correct: raw.correct }, "task 1", fixes)];
+    if (!Array.isArray(raw.tasks)) fixes.push("single task wrapped as an MTQ");
+
+    const errors = tasks.flatMap((task, i) => validateTask(task, `task ${i + 1}`));
+    if (!tasks.length) errors.push("MTQ has no tasks");
+    if (!question) errors.push("no question text");
+    return { item: errors.length ? null : { type: "mtq", question, tasks, ...extras, ...link }, errors, fixes };
+  }
+
+  const hasOptions = raw.options && (Array.isArray(raw.options) ? raw.options.length : Object.keys(raw.options).length);
+
+  // Data Sufficiency: two statements and the standard choices. Older files
+  // spell the choices out without the statements; those stay multiple choice
+  // (with their options) until the statements are added.
+  const dsOptions = hasOptions && isDataSufficiency(readOptions(raw.options).options);
+  if (raw.type === "ds" || (dsOptions && Array.isArray(raw.statements))) {
+    const errors = [];
+    if (!question) errors.push("no question text");
+    if (raw.type !== "ds") fixes.push("data sufficiency question uses the standard choices");
+
+    const statements = Array.isArray(raw.statements)
+      ? raw.statements.map(statement => String(statement ?? "").replace(/^\(\d\)\s*/, "").trim())
+      : [];
+    if (statements.length !== 2 || statements.some(statement => !statement)) {
+      errors.push("needs exactly two statements");
+    }
+
+    const letters = hasOptions ? readOptions(raw.options).letters : null;
+    const correct = readCorrect(raw.correct ?? raw.answer, DS_CHOICES, letters);
+    if (correct.error) errors.push(correct.error);
+    if (errors.length) return { item: null, errors, fixes };
+
+    const item = { type: "ds", question, statements, correct: correct.index };
+    return { item: { ...item, ...extras, ...link }, errors: [], fixes };
+  }
+
+  // Comprehension passages and headings: { passage }, or a "question" with no options
+  if (isPassage || !hasOptions) {
+    const passage = String(raw.passage ?? raw.question ?? "").trim();
+    if (!raw.passage && raw.type !== "passage") fixes.push("question without options treated as a passage");
+    return passage ? { item: { type: "passage", passage, ...extras }, errors: [], fixes } : { item: null, errors: ["empty passage"], fixes };
+  }
+
+  const { options, letters } = readOptions(raw.options);
+  const errors = [];
+  if (!question) errors.push("no question text");
+  if (options.length < 2) errors.push("fewer than two options");
+  if (options.some(o => !o)) errors.push("empty option");
+
+  if (raw.correct === undefined && raw.answer !== undefined) fixes.push("`answer` renamed to `correct`");
+  const correct = readCorrect(raw.correct ?? raw.answer ?? raw.correctIndex, options, letters);
+  if (correct.error) errors.push(correct.error);
+  if (correct.fixed) fixes.push(correct.fixed);
+
+  if (errors.length) return { item: null, errors, fixes };
+
+  const seen = new Set();
+  if (options.some(o => seen.size === seen.add(o.toLowerCase()).size)) fixes.push("has the same option twice (kept)");
+  return { item: { type: "mcq", question, options, correct: correct.index, ...extras, ...link }, errors: [], fixes };
+}
+
+/**
+ * Check the `passage` links in a quiz whose ids are final, dropping links to
+ * anything that isn't a passage. Passages that no question links to are
+ * reported for someone to link by hand; links are never guessed.
+ */
+function linkPassages(quiz, warning) {
+  const passageIds = new Set(quiz.filter(item => item.type === "passage").map(item => item.id));
+  const linked = new Set();
+
+  quiz.forEach(item => {
+    if (item.type === "passage" || item.passage === undefined) return;
+    if (passageIds.has(item.passage)) {
+      linked.add(item.passage);
+    } else {
+      warning(`item ${item.id}: passage ${JSON.stringify(item.passage)} doesn't exist (link dropped)`);
+      delete item.passage;
+    }
+  });
+
+  passageIds.forEach(id => {
+    if (!linked.has(id)) warning(`passage ${id}: no questions link to it (add "passage": ${id} to its questions)`);
+  });
+}
+
+function sameContent(a, b) {
+  const { id: _a, ...restA } = a;
+  const { id: _b, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+/**
+ * Turn one parsed file into the canonical format. `fileName` is its current
+ * name; the result's `fileName` is the canonical one (lower-case subject).
+ * Returns { fileName, set, problems } with problems as
+ * [{ level: "error" | "warning", message }]. Errors are items that were
+ * dropped; warnings were repaired.
+ */
+export function normalizeQuestionSet(data, fileName) {
+  const problems = [];
+  const error = message => problems.push({ level: "error", message });
+  const warning = message => problems.push({ level: "warning", message });
+
+  const meta = parseFileName(fileName);
+  if (!meta) {
+    error("file name is not <exam>_<year>_<subject>.json");
+    return { fileName, set: null, problems };
+  }
+  const canonicalName = `${meta.exam}_${meta.year}_${meta.subject}.json`;
+  if (canonicalName !== fileName) warning(`renamed to ${canonicalName} (subject in lower case)`);
+
+  const sections = sectionsOf(data).filter(s => s && Array.isArray(s.quiz));
+  if (!sections.length) {
+    error("no quiz array");
+    return { fileName: canonicalName, set: null, problems };
+  }
+  if (sections.length > 1) warning(`${sections.length} sections merged into one quiz`);
+
+  const first = sections[0];
+  if (typeof first.year === "number" && first.year !== meta.year) {
+    warning(`year ${first.year} in the file differs from the file name (${meta.year} kept)`);
+  }
+
+  const quiz = [];
+  const usedIds = new Set();
+  const pendingIds = [];
+
+  sections.forEach(section => {
+    section.quiz.forEach((raw, i) => {
+      const label = `item ${raw?.id ?? i + 1}${sections.length > 1 ? ` (${section.subject || "section"})` : ""}`;
+      const { item, errors, fixes } = normalizeQuestion(raw);
+      fixes.forEach(fix => warning(`${label}: ${fix}`));
+      if (!item) {
+        error(`${label}: ${errors.join(", ")} (dropped)`);
+        return;
+      }
+
+      if (sections.length > 1 && section.subject) item.section = section.subject;
+      const duplicate = quiz.find(existing => sameContent(existing, item));
+      if (duplicate) {
+        error(`${label}: repeats item ${duplicate.id ?? "above"} (dropped)`);
+        return;
+      }
+
+      const id = Number(raw.id);
+      const entry = { id: null, ...item };
+      if (Number.isInteger(id) && id > 0 && !usedIds.has(id)) {
+        entry.id = id;
+        usedIds.add(id);
+      } else {
+        pendingIds.push({ entry, was: raw.id });
+      }
+      quiz.push(entry);
+    });
+  });
+
+  // Missing, repeated or non-numeric ids get the next free numbers
+  let next = Math.max(0, ...usedIds) + 1;
+  pendingIds.forEach(({ entry, was }) => {
+    entry.id = next++;
+    warning(was === undefined ? `item without an id numbered ${entry.id}` : `id ${JSON.stringify(was)} is repeated or invalid, renumbered ${entry.id}`);
+  });
+  linkPassages(quiz, warning);
+
+  const withoutStatements = quiz.filter(item => item.type === "mcq" && isDataSufficiency(item.options)).length;
+  if (withoutStatements) {
+    warning(`${withoutStatements} data sufficiency questions have no statements (1) and (2); they stay multiple choice until the statements are added`);
+  }
+
+  return {
+    fileName: canonicalName,
+    set: {
+      exam: meta.exam,
+      year: meta.year,
+      subject: meta.subject,
+      title: String(first.title || first.subject || meta.subjectLabel).trim(),
+      source: first.source || (typeof first.year === "string" ? first.year : null),
+      batch: first.batch || null,
+      quiz,
+    },
+    problems,
+  };
+}
+
+/**
+ * Check a file that should already be canonical. Returns problems in the same
+ * shape as normalizeQuestionSet; an empty list means the file is canonical.
+ */
+export function validateQuestionSet(data, fileName) {
+  const { fileName: canonicalName, set, problems } = normalizeQuestionSet(data, fileName);
+  if (!set) return problems;
+  if (canonicalName === fileName && !problems.length && JSON.stringify(set) !== JSON.stringify(data)) {
+    problems.push({ level: "warning", message: "not in the canonical layout (run normalize)" });
+  }
+  return problems;
+}
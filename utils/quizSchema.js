@@ -0,0 +1,300 @@
+// utils/quizSchema.js
+// Strict schema for generated multiple-choice quizzes, plus the repairs we
+// can safely make to model output (letter answers, "A) " prefixes, answers
+// given as option text, code fences around the JSON).
+//
+// A valid item is { question, options: [4 distinct strings], correct: 0–3 }.
+//
+// Other question types use the MTQ task schema from public/past_questions
+// ({ task, input_type, answer | expected_keywords }):
+//   true_false  { task: statement, answer: true|false }
+//   fill_blank  { task: sentence with "____", answer, accepted_answers? }
+//   number      { task, answer: number, unit?, tolerance? }
+//   written     { task, expected_keywords: [...], min_keywords?, model_answer? }
+// min_keywords is how many keywords a full-credit answer needs (default: all);
+// utils/taskGrading.js does the grading.
+
+export const OPTION_COUNT = 4;
+export const QUESTION_TYPES = ["mcq", "true_false", "fill_blank", "number", "written"];
+export const MAX_QUESTIONS = 20;
+const LETTERS = ["A", "B", "C", "D"];
+
+// Questions at least this similar (word-set overlap) count as duplicates
+const DUPLICATE_SIMILARITY = 0.8;
+
+function normalizeForCompare(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+}
+
+function stripOptionLabel(option) {
+  return String(option).trim().replace(/^\(?[A-Da-d][).:]\s+/, "").trim();
+}
+
+/**
+ * Pull the quiz array out of a model response. Accepts {quiz:[...]},
+ * {questions:[...]}, {tasks:[...]} or a bare array, optionally wrapped in
+ * ``` fences or prose.
+ * Returns null when no JSON can be found.
+ */
+export function parseQuizJson(content) {
+  if (Array.isArray(content)) return content;
+  if (typeof content !== "string") return null;
+
+  const unfenced = content.replace(/```(?:json)?/gi, "").trim();
+  const candidates = [unfenced];
+  const objectMatch = unfenced.match(/\{[\s\S]*\}/);
+  const arrayMatch = unfenced.match(/\[[\s\S]*\]/);
+  if (objectMatch) candidates.push(objectMatch[0]);
+  if (arrayMatch) candidates.push(arrayMatch[0]);
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+      if (Array.isArray(parsed?.quiz)) return parsed.quiz;
+      if (Array.isArray(parsed?.questions)) return parsed.questions;
+      if (Array.isArray(parsed?.tasks)) return parsed.tasks;
+    } catch {}
+  }
+  return null;
+}
+
+// Index, "2", "B", "b)", "Option B" or the option's own text → 0-based index (or -1)
+function resolveAnswerIndex(answer, options) {
+  if (Number.isInteger(answer)) return answer;
+
+  const text = String(answer ?? "").trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+  const letter = text.match(/^(?:option\s+)?\(?([A-Da-d])\)?[).:]?$/i);
+  if (letter) return LETTERS.indexOf(letter[1].toUpperCase());
+
+  const wanted = normalizeForCompare(stripOptionLabel(text));
+  return options.findIndex(o => normalizeForCompare(o) === wanted);
+}
+
+/**
+ * Repair one raw item as far as is safe and list what is still wrong with it.
+ * Returns { item, errors } — the item is only usable when errors is empty.
+ */
+export function repairQuizItem(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    return { item: null, errors: ["not an object"] };
+  }
+
+  const question = String(raw.question ?? raw.prompt ?? "").trim();
+  if (!question) errors.push("missing question text");
+
+  // Options sometimes arrive as { A: "...", B: "..." }
+  let options = raw.options ?? raw.choices;
+  if (options && !Array.isArray(options) && typeof options === "object") {
+    options = LETTERS.map(l => options[l] ?? options[l.toLowerCase()]).filter(o => o !== undefined);
+  }
+  options = Array.isArray(options) ? options.map(stripOptionLabel) : [];
+
+  if (options.length !== OPTION_COUNT) {
+    errors.push(`expected ${OPTION_COUNT} options, got ${options.length}`);
+  } else if (options.some(o => !o)) {
+    errors.push("empty option");
+  } else if (new Set(options.map(normalizeForCompare)).size !== OPTION_COUNT) {
+    errors.push("options are not distinct");
+  }
+
+  const correct = resolveAnswerIndex(raw.correct ?? raw.answer ?? raw.correctIndex, options);
+  if (!(correct >= 0 && correct < OPTION_COUNT)) {
+    errors.push(`invalid answer "${raw.correct ?? raw.answer}"`);
+  }
+
+  return { item: { question, options, correct }, errors };
+}
+
+function similarity(a, b) {
+  const wordsA = new Set(normalizeForCompare(a).split(" "));
+  const wordsB = new Set(normalizeForCompare(b).split(" "));
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / Math.max(wordsA.size, wordsB.size, 1);
+}
+
+export function isDuplicateQuestion(question, existing) {
+  const text = question.question ?? question.task;
+  return existing.some(q => similarity(q.question ?? q.task, text) >= DUPLICATE_SIMILARITY);
+}
+
+/**
+ * Validate a model response against the schema.
+ * `existing` holds items already accepted (from an earlier attempt) so
+ * duplicates across attempts are dropped too.
+ * Returns { items, problems } where problems are human-readable strings.
+ */
+export function validateQuiz(content, existing = []) {
+  const rawItems = parseQuizJson(content);
+  if (!rawItems) return { items: [], problems: ["response was not valid quiz JSON"] };
+
+  const items = [];
+  const problems = [];
+
+  rawItems.forEach((raw, i) => {
+    const { item, errors } = repairQuizItem(raw);
+    if (errors.length) {
+      problems.push(`question ${i + 1}: ${errors.join(", ")}`);
+    } else if (isDuplicateQuestion(item, [...existing, ...items])) {
+      problems.push(`question ${i + 1}: repeats an earlier question`);
+    } else {
+      items.push(item);
+    }
+  });
+
+  return { items, problems };
+}
+
+// -------------------------------------------------------------------
+// MTQ-style tasks
+// -------------------------------------------------------------------
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (["true", "t", "yes"].includes(text)) return true;
+  if (["false", "f", "no"].includes(text)) return false;
+  return null;
+}
+
+// 4800, "4,800", "$4,800.50", "12 kg" → number (or null)
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = String(value ?? "").replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Repair one raw task of the given type. Returns { item, errors } like repairQuizItem.
+ */
+export function repairTask(raw, type) {
+  if (!raw || typeof raw !== "object") {
+    return { item: null, errors: ["not an object"] };
+  }
+
+  const errors = [];
+  let task = String(raw.task ?? raw.question ?? raw.statement ?? "").trim();
+  if (!task) errors.push("missing task text");
+
+  const item = { task, input_type: type };
+
+  if (type === "true_false") {
+    item.answer = toBoolean(raw.answer ?? raw.correct);
+    if (item.answer === null) errors.push(`answer "${raw.answer}" is not true or false`);
+  } else if (type === "fill_blank") {
+    task = task.replace(/_{2,}|\[blank\]|…|\.{3,}/gi, "____");
+    item.task = task;
+    item.answer = String(raw.answer ?? "").trim();
+    item.accepted_answers = toStringList(raw.accepted_answers).filter(a => a !== item.answer);
+    if (!task.includes("____")) errors.push("sentence has no blank");
+    if (!item.answer) errors.push("missing answer");
+  } else if (type === "number") {
+    item.answer = toNumber(raw.answer ?? raw.correct);
+    if (raw.unit) item.unit = String(raw.unit).trim();
+    const tolerance = toNumber(raw.tolerance);
+    if (tolerance !== null && tolerance >= 0) item.tolerance = tolerance;
+    if (item.answer === null) errors.push(`answer "${raw.answer}" is not a number`);
+  } else if (type === "written") {
+    item.expected_keywords = toStringList(raw.expected_keywords ?? raw.keywords);
+    if (raw.model_answer) item.model_answer = String(raw.model_answer).trim();
+    const minKeywords = parseInt(raw.min_keywords, 10);
+    if (minKeywords >= 1 && minKeywords < item.expected_keywords.length) item.min_keywords = minKeywords;
+    if (!item.expected_keywords.length) errors.push("no expected keywords");
+  } else {
+    errors.push(`unknown type "${type}"`);
+  }
+
+  return { item, errors };
+}
+
+/**
+ * validateQuiz for MTQ-style tasks of one type.
+ */
+export function validateTasks(content, type, existing = []) {
+  const rawItems = parseQuizJson(content);
+  if (!rawItems) return { items: [], problems: ["response was not valid JSON"] };
+
+  const items = [];
+  const problems = [];
+
+  rawItems.forEach((raw, i) => {
+    const { item, errors } = repairTask(raw, type);
+    if (errors.length) {
+      problems.push(`task ${i + 1}: ${errors.join(", ")}`);
+    } else if (isDuplicateQuestion(item, [...existing, ...items])) {
+      problems.push(`task ${i + 1}: repeats an earlier task`);
+    } else {
+      items.push(item);
+    }
+  });
+
+  return { items, problems };
+}
+
+// -------------------------------------------------------------------
+// Translations
+// -------------------------------------------------------------------
+/**
+ * Check a translated string list against the originals: same length, same
+ * order, nothing empty and every ____ blank kept. Returns { list, problems }.
+ */
+export function validateTranslation(content, originals) {
+  const list = parseQuizJson(content);
+  if (!list) return { list: null, problems: ["response was not a JSON array"] };
+  if (list.length !== originals.length) {
+    return { list: null, problems: [`expected ${originals.length} strings, got ${list.length}`] };
+  }
+
+  const problems = [];
+  list.forEach((value, i) => {
+    if (typeof value !== "string" || !value.trim()) problems.push(`string ${i + 1} is empty`);
+    else if (originals[i].includes("____") && !value.includes("____")) problems.push(`string ${i + 1} lost its ____ blank`);
+  });
+  return { list: problems.length ? null : list.map(v => v.trim()), problems };
+}
+
+/**
+ * Work out how many questions of each type to generate.
+ * `types` is either { mcq: 3, true_false: 2 } or ["mcq", "true_false"]
+ * (then numQuestions is shared out as evenly as possible).
+ * Throws an Error with a user-facing message on bad input.
+ */
+export function resolveQuestionMix(numQuestions, types) {
+  let mix;
+
+  if (Array.isArray(types)) {
+    const unique = [...new Set(types)];
+    if (!unique.length) throw new Error("Pick at least one question type");
+    mix = Object.fromEntries(unique.map((type, i) => [
+      type,
+      Math.floor(numQuestions / unique.length) + (i < numQuestions % unique.length ? 1 : 0),
+    ]));
+  } else if (types && typeof types === "object") {
+    mix = Object.fromEntries(Object.entries(types).map(([type, count]) => [type, Number(count)]));
+  } else {
+    mix = { mcq: numQuestions };
+  }
+
+  for (const [type, count] of Object.entries(mix)) {
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new Error(`Unknown question type "${type}". Use: ${QUESTION_TYPES.join(", ")}`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`Question count for ${type} must be a whole number`);
+    }
+    if (count === 0) delete mix[type];
+  }
+
+  const total = Object.values(mix).reduce((sum, n) => sum + n, 0);
+  if (total < 1 || total > MAX_QUESTIONS) {
+    throw new Error(`Ask for between 1 and ${MAX_QUESTIONS} questions in total`);
+  }
+  return mix;
+}
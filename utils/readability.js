@@ -0,0 +1,145 @@
+// utils/readability.js
+// Readability scores for /api/simplify and the reading-level bands we target.
+// English-only heuristics: syllables are counted from vowel groups, and
+// "rare" words are those outside the Dolch sight-word list taught in early primary.
+
+const DOLCH_WORDS = new Set(`
+a about after again all always am an and any are around as ask at ate away be because been before best better big
+black blue both bring brown but buy by call came can carry clean cold come could cut did do does done don't down draw
+drink eat eight every fall far fast find first five fly for found four from full funny gave get give go goes going good
+got green grow had has have he help her here him his hold hot how hurt i if in into is it its jump just keep kind know
+laugh let light like little live long look made make many may me much must my myself never new no not now of off old on
+once one only open or our out over own pick play please pretty pull put ran read red ride right round run said saw say
+see seven shall she show sing sit six sleep small so some soon start stop take tell ten thank that the their them then
+there these they think this those three to today together too try two under up upon us use very walk want warm was wash
+we well went were what when where which white who why will wish with work would write yellow yes you your
+`.trim().split(/\s+/));
+
+/**
+ * Reading levels we can target, keyed by the `level` accepted by /api/simplify.
+ * Grades are US-style Flesch-Kincaid grades; ages follow the Nigerian school system.
+ */
+export const READING_LEVELS = {
+  early: { label: "Early readers", ages: [5, 7], grades: [0, 2.5], maxSentenceWords: 10 },
+  primary: { label: "Primary", ages: [8, 10], grades: [2, 5.5], maxSentenceWords: 14 },
+  junior_secondary: { label: "Junior secondary (JSS)", ages: [11, 13], grades: [5, 8.5], maxSentenceWords: 18 },
+  senior_secondary: { label: "Senior secondary / JAMB", ages: [14, 18], grades: [8, 12.5], maxSentenceWords: 24 },
+};
+
+export const DEFAULT_READING_LEVEL = "primary";
+
+/**
+ * Pick a level from { level } or { age } or { grade }. Returns the level key
+ * or throws an Error with a user-facing message.
+ */
+export function resolveReadingLevel({ level, age, grade } = {}) {
+  if (level !== undefined && level !== null && level !== "") {
+    if (!READING_LEVELS[level]) {
+      throw new Error(`Unknown level "${level}". Use: ${Object.keys(READING_LEVELS).join(", ")}`);
+    }
+    return level;
+  }
+
+  if (age !== undefined && age !== null && age !== "") {
+    const years = Number(age);
+    if (!Number.isFinite(years) || years < 3 || years > 99) throw new Error("age must be a number of years");
+    const match = Object.entries(READING_LEVELS).find(([, l]) => years <= l.ages[1]);
+    return match ? match[0] : "senior_secondary";
+  }
+
+  if (grade !== undefined && grade !== null && grade !== "") {
+    const g = Number(grade);
+    if (!Number.isFinite(g) || g < 0 || g > 16) throw new Error("grade must be a number from 0 to 16");
+    const match = Object.entries(READING_LEVELS).find(([, l]) => g <= l.grades[1]);
+    return match ? match[0] : "senior_secondary";
+  }
+
+  return DEFAULT_READING_LEVEL;
+}
+
+export function countSyllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+
+  const trimmed = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, "").replace(/^y/, "");
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Measure a passage. Bullet lines and headings count as sentences so notes
+ * are not scored as one giant sentence.
+ */
+export function measureReadability(text) {
+  const cleaned = String(text || "").replace(/^\s*(?:[-*•]|\d+[.)])\s+/gm, "").replace(/[#*_`]/g, "");
+  const sentences = cleaned.split(/[.!?]+|\n+/).map(s => s.trim()).filter(s => /[A-Za-z]/.test(s));
+  const words = cleaned.match(/[A-Za-z][A-Za-z']*/g) || [];
+
+  if (!words.length) {
+    return {
+      words: 0, sentences: 0, avgSentenceLength: 0, avgSyllablesPerWord: 0,
+      fleschReadingEase: null, fleschKincaidGrade: null, rareWordRatio: 0,
+    };
+  }
+
+  const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+  const sentenceCount = Math.max(1, sentences.length);
+  const wordsPerSentence = words.length / sentenceCount;
+  const syllablesPerWord = syllables / words.length;
+
+  // Very short words are never rare, whatever the list says
+  const rare = words.filter(w => w.length > 3 && !DOLCH_WORDS.has(w.toLowerCase())).length;
+
+  return {
+    words: words.length,
+    sentences: sentenceCount,
+    avgSentenceLength: round(wordsPerSentence),
+    avgSyllablesPerWord: round(syllablesPerWord, 2),
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)),
+    rareWordRatio: round(rare / words.length, 2),
+  };
+}
+
+/**
+ * How far a measured passage is from a level. Returns { onTarget, problems, distance }.
+ */
+export function compareToLevel(scores, levelKey) {
+  const level = READING_LEVELS[levelKey];
+  const problems = [];
+  let distance = 0;
+
+  if (scores.fleschKincaidGrade !== null) {
+    if (scores.fleschKincaidGrade > level.grades[1]) {
+      problems.push(`reads at grade ${scores.fleschKincaidGrade}, aim for grade ${level.grades[1]} or below`);
+      distance += scores.fleschKincaidGrade - level.grades[1];
+    } else if (scores.fleschKincaidGrade < level.grades[0]) {
+      problems.push(`reads at grade ${scores.fleschKincaidGrade}, which is too simple; aim for grade ${level.grades[0]} or above`);
+      distance += level.grades[0] - scores.fleschKincaidGrade;
+    }
+  }
+
+  if (scores.avgSentenceLength > level.maxSentenceWords) {
+    problems.push(`sentences average ${scores.avgSentenceLength} words, keep them under ${level.maxSentenceWords}`);
+    distance += (scores.avgSentenceLength - level.maxSentenceWords) / 4;
+  }
+
+  return { onTarget: problems.length === 0, problems, distance: round(distance, 2) };
+}
+
+export function describeLevel(levelKey) {
+  const level = READING_LEVELS[levelKey];
+  return {
+    level: levelKey,
+    label: level.label,
+    ages: `${level.ages[0]}–${level.ages[1]}`,
+    targetGrade: level.grades,
+    maxSentenceWords: level.maxSentenceWords,
+  };
+}
@@ -0,0 +1,202 @@
+// utils/resultCache.js
+// Content-hash cache for paid OCR / AI calls.
+//
+// Keys are sha256(namespace + version + params + content), so the same photo
+// or text with the same settings is only sent to Vision/OpenAI once. Callers
+// pass a `version` (e.g. a hash of the prompt) so editing a prompt
+// invalidates its old entries automatically.
+//
+// Tier 1 is an in-memory LRU bounded by size; set CACHE_PERSIST=firestore to
+// also keep entries in the `aiCache` collection across restarts.
+import crypto from "crypto";
+import { Timestamp } from "firebase-admin/firestore";
+import { firestore } from "../config/firebaseAdmin.js";
+
+const DEFAULT_TTL_MS = parseInt(process.env.CACHE_TTL_HOURS || "168", 10) * 60 * 60 * 1000; // 7 days
+const MAX_MEMORY_BYTES = parseInt(process.env.CACHE_MAX_MB || "64", 10) * 1024 * 1024;
+const PERSIST_TO_FIRESTORE = process.env.CACHE_PERSIST === "firestore";
+const CACHE_DISABLED = process.env.CACHE_DISABLED === "true";
+
+// Firestore documents are capped at 1 MiB
+const MAX_PERSISTED_BYTES = 900 * 1024;
+
+const memory = new Map(); // key → { value, size, expiresAt, namespace }
+let memoryBytes = 0;
+const inFlight = new Map(); // key → Promise, so simultaneous identical requests share one call
+const stats = {}; // namespace → { hits, misses, memoryHits, firestoreHits, entries, bytes }
+
+export function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Short stable fingerprint for prompts/models, used as a cache version
+export function fingerprint(...parts) {
+  return hashContent(JSON.stringify(parts)).slice(0, 12);
+}
+
+function statsFor(namespace) {
+  if (!stats[namespace]) {
+    stats[namespace] = { hits: 0, misses: 0, memoryHits: 0, firestoreHits: 0, entries: 0, bytes: 0 };
+  }
+  return stats[namespace];
+}
+
+function buildKey(namespace, version, params, content) {
+  const contentHash = Buffer.isBuffer(content) ? hashContent(content) : hashContent(String(content));
+  return `${namespace}_${fingerprint(version, params, contentHash)}`;
+}
+
+function evict(key) {
+  const entry = memory.get(key);
+  if (!entry) return;
+  memory.delete(key);
+  memoryBytes -= entry.size;
+  const s = statsFor(entry.namespace);
+  s.entries--;
+  s.bytes -= entry.size;
+}
+
+function remember(key, namespace, value, ttlMs, size) {
+  evict(key);
+  if (size > MAX_MEMORY_BYTES) return;
+
+  // Oldest entries first (Map keeps insertion order; reads re-insert)
+  for (const oldest of memory.keys()) {
+    if (memoryBytes + size <= MAX_MEMORY_BYTES) break;
+    evict(oldest);
+  }
+
+  memory.set(key, { value, size, expiresAt: Date.now() + ttlMs, namespace });
+  memoryBytes += size;
+  const s = statsFor(namespace);
+  s.entries++;
+  s.bytes += size;
+}
+
+function readMemory(key) {
+  const entry = memory.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    evict(key);
+    return undefined;
+  }
+
+  // Refresh LRU position
+  memory.delete(key);
+  memory.set(key, entry);
+  return entry.value;
+}
+
+async function readFirestore(key, namespace, ttlMs) {
+  if (!PERSIST_TO_FIRESTORE) return undefined;
+
+  try {
+    const snap = await firestore.collection("aiCache").doc(key).get();
+    if (!snap.exists) return undefined;
+
+    const data = snap.data();
+    if (data.expiresAt.toMillis() <= Date.now()) return undefined;
+
+    const value = JSON.parse(data.value);
+    remember(key, namespace, value, Math.min(ttlMs, data.expiresAt.toMillis() - Date.now()), data.value.length);
+    return value;
+  } catch (err) {
+    console.warn("Cache read failed:", err.message);
+    return undefined;
+  }
+}
+
+async function writeFirestore(key, namespace, serialized, ttlMs) {
+  if (!PERSIST_TO_FIRESTORE || serialized.length > MAX_PERSISTED_BYTES) return;
+
+  try {
+    await firestore.collection("aiCache").doc(key).set({
+      namespace,
+      value: serialized,
+      createdAt: Timestamp.now(),
+      expiresAt: Timestamp.fromMillis(Date.now() + ttlMs),
+    });
+  } catch (err) {
+    console.warn("Cache write failed:", err.message);
+  }
+}
+
+/**
+ * Return the cached result for (namespace, version, params, content) or run
+ * `producer` and cache what it returns.
+ *
+ * Options: ttlMs, and shouldCache(value) to skip caching failed/empty results.
+ */
+export async function cached({ namespace, version = "1", params = {}, content }, producer, options = {}) {
+  if (CACHE_DISABLED) return producer();
+
+  const { ttlMs = DEFAULT_TTL_MS, shouldCache = value => value !== undefined && value !== null } = options;
+  const key = buildKey(namespace, version, params, content);
+  const s = statsFor(namespace);
+
+  const fromMemory = readMemory(key);
+  if (fromMemory !== undefined) {
+    s.hits++;
+    s.memoryHits++;
+    // Copy so callers can't modify the cached entry
+    return structuredClone(fromMemory);
+  }
+
+  if (inFlight.has(key)) {
+    const running = inFlight.get(key);
+    try {
+      const value = await running;
+      s.hits++;
+      return structuredClone(value);
+    } catch (err) {
+      // Whoever started it went away (err.cancelled); that is no reason to fail this caller
+      if (!err.cancelled) throw err;
+      if (inFlight.get(key) === running) inFlight.delete(key);
+      return cached({ namespace, version, params, content }, producer, options);
+    }
+  }
+
+  const pending = (async () => {
+    const fromFirestore = await readFirestore(key, namespace, ttlMs);
+    if (fromFirestore !== undefined) {
+      s.hits++;
+      s.firestoreHits++;
+      return fromFirestore;
+    }
+
+    s.misses++;
+    const value = await producer();
+
+    if (shouldCache(value)) {
+      const serialized = JSON.stringify(value);
+      remember(key, namespace, JSON.parse(serialized), ttlMs, serialized.length);
+      await writeFirestore(key, namespace, serialized, ttlMs);
+    }
+    return value;
+  })();
+
+  inFlight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+export function getCacheStats() {
+  const namespaces = Object.fromEntries(
+    Object.entries(stats).map(([name, s]) => {
+      const lookups = s.hits + s.misses;
+      return [name, { ...s, hitRate: lookups ? Math.round((s.hits / lookups) * 1000) / 1000 : null }];
+    })
+  );
+
+  return {
+    enabled: !CACHE_DISABLED,
+    persist: PERSIST_TO_FIRESTORE ? "firestore" : "memory",
+    memoryBytes,
+    maxMemoryBytes: MAX_MEMORY_BYTES,
+    namespaces,
+  };
+}
@@ -0,0 +1,70 @@
+// utils/spacedRepetition.js
+// SM-2 review scheduling for flashcards.
+//
+// Each card carries { repetitions, interval (days), ease, due (ms), reviews,
+// lapses }. A review is graded again / hard / good / easy (SM-2 quality
+// 1 / 3 / 4 / 5, or a number 0–5): a failed card starts over and comes back
+// the same day, a passed one waits 1 day, then 6, then interval × ease.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// A failed card is shown again after this, so it is still in today's queue
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * "again" | "hard" | "good" | "easy" or 0–5 → SM-2 quality. Throws an Error
+ * with a user-facing message otherwise.
+ */
+export function resolveGrade(grade) {
+  if (typeof grade === "string" && REVIEW_GRADES[grade.toLowerCase()] !== undefined) {
+    return REVIEW_GRADES[grade.toLowerCase()];
+  }
+  const quality = Number(grade);
+  if (grade === "" || grade === null || !Number.isInteger(quality) || quality < 0 || quality > 5) {
+    throw new Error(`grade must be one of ${Object.keys(REVIEW_GRADES).join(", ")} or a whole number 0–5`);
+  }
+  return quality;
+}
+
+// A new card is due straight away
+export function newSchedule(now = Date.now()) {
+  return { repetitions: 0, interval: 0, ease: DEFAULT_EASE, due: now, reviews: 0, lapses: 0, lastReviewedAt: null };
+}
+
+/**
+ * Apply one review. `schedule` is the card's current schedule (missing
+ * fields fall back to a new card's) and `quality` is an SM-2 quality 0–5.
+ * Returns the next schedule.
+ */
+export function reviewSchedule(schedule, quality, now = Date.now()) {
+  const current = { ...newSchedule(now), ...schedule };
+  const ease = Math.max(MIN_EASE, current.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  const next = {
+    ...current,
+    ease: Math.round(ease * 100) / 100,
+    reviews: current.reviews + 1,
+    lastReviewedAt: now,
+    lastQuality: quality,
+  };
+
+  if (quality < 3) {
+    return { ...next, repetitions: 0, interval: 0, lapses: current.lapses + 1, due: now + RELEARN_DELAY_MS };
+  }
+
+  const repetitions = current.repetitions + 1;
+  const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(current.interval * next.ease);
+  return { ...next, repetitions, interval, due: now + interval * DAY_MS };
+}
+
+/**
+ * Last millisecond of the learner's day. `tzOffsetMinutes` is what the
+ * browser's Date#getTimezoneOffset() returns (e.g. -60 for Lagos).
+ */
+export function endOfDay(now = Date.now(), tzOffsetMinutes = 0) {
+  const local = now - tzOffsetMinutes * 60 * 1000;
+  return Math.floor(local / DAY_MS) * DAY_MS + DAY_MS - 1 + tzOffsetMinutes * 60 * 1000;
+}
@@ -0,0 +1,276 @@
+// utils/taskGrading.js
+// Grades answers to MTQ tasks (the task schema in quizSchema.js) with partial
+// credit and a one-line explanation per task.
+//
+// Written answers are compared by idea, not by substring: words are stemmed,
+// common synonyms and abbreviations are folded together ("min" ~ "lower",
+// "NRV" ~ "net realisable value"), and a keyword that only appears after a
+// negation ("not lower of cost") does not count. The words of a multi-word
+// keyword must come in order and close together. A task needs
+// `min_keywords` of its expected_keywords (default: all of them) for full
+// credit and earns a share of the credit for fewer.
+//
+// Numbers accept formatting ("37,000", "£37k", "(500)", "1.2m") and the
+// task's `tolerance`; an answer within NEAR_MISS_RATIO earns half credit.
+
+export const NEAR_MISS_RATIO = 0.01;
+const NEAR_MISS_CREDIT = 0.5;
+
+// Words that cancel a keyword when they come just before it
+const NEGATIONS = new Set(["not", "no", "never", "nor", "without", "isn't", "isnt", "aren't", "arent", "doesn't", "doesnt", "don't", "dont", "cannot", "can't", "cant", "neither"]);
+const NEGATION_WINDOW = 3;
+
+// Consecutive words of a keyword may be this many meaningful words apart
+// ("lower of cost" matches "lower of the cost" and "lower historic cost")
+const KEYWORD_GAP = 2;
+
+const STOPWORDS = new Set("a an the of to in on at by for and or is are was were be been it its as that this with from".split(" "));
+
+// Multi-word terms and their abbreviations become one token before matching
+const PHRASES = [
+  [/\bnet reali[sz](?:able|ed) values?\b/g, "nrv"],
+  [/\bstraight line\b/g, "slm"],
+  [/\bother comprehensive income\b/g, "oci"],
+  [/\bproperty,? plant,? (?:and|&) equipment\b/g, "ppe"],
+  [/\btrial balance\b/g, "tb"],
+  [/\btoo (?:high|much|large)\b/g, "overstated"],
+  [/\btoo (?:low|little|small)\b/g, "understated"],
+  [/\bless than\b/g, "lower"],
+  [/\bmore than\b/g, "higher"],
+];
+
+// Stemmed words in one group count as the same word
+const SYNONYM_GROUPS = [
+  ["lower", "lesser", "min", "minimum", "smaller", "lowest"],
+  ["higher", "greater", "max", "maximum", "larger", "highest"],
+  ["decreas", "reduc", "fall", "drop", "cut", "lower"],
+  ["increas", "rais", "ris", "grow", "higher"],
+  ["overstat", "inflat", "exaggerat"],
+  ["understat", "deflat"],
+  ["uncollect", "irrecover", "bad", "doubtful"],
+  ["loss", "los"],
+  ["expens", "charg"],
+  ["receiv", "debtor"],
+  ["inventory", "stock"],
+  ["revenu", "sal", "turnover", "incom"],
+  ["omission", "omitt", "omit", "miss"],
+];
+
+const GROUPS_BY_WORD = new Map();
+SYNONYM_GROUPS.forEach((group, id) => {
+  for (const word of group) GROUPS_BY_WORD.set(word, [...(GROUPS_BY_WORD.get(word) || []), `~${id}`]);
+});
+
+/**
+ * Crude English stemmer: enough to make "reduces", "reduced" and "reducing"
+ * (and British/American spellings) meet.
+ */
+export function stem(word) {
+  let w = word.toLowerCase().replace(/iz(?=e|ed|es|ing|ation|able)/, "is");
+  if (w.length <= 2) return w;
+
+  // Plurals first, then at most one more suffix
+  if (w.endsWith("ies")) w = `${w.slice(0, -3)}y`;
+  else if (/[^sui]s$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ["ational", "ation", "ing", "ment", "able", "ible", "edly", "ed", "ly", "e"]) {
+    const keep = suffix === "e" || suffix === "ed" ? 2 : 3;
+    if (w.endsWith(suffix) && w.length - suffix.length >= keep) {
+      w = w.slice(0, -suffix.length);
+      break;
+    }
+  }
+  return w;
+}
+
+function normalizeText(text) {
+  let t = String(text ?? "").toLowerCase().replace(/[‘’]/g, "'").replace(/[-_/]/g, " ");
+  for (const [pattern, replacement] of PHRASES) t = t.replace(pattern, replacement);
+  return t;
+}
+
+// [{ ids: Set, negated, position }] for each meaningful word in the text. A
+// negation covers the next few words of its own clause; positions jump
+// between sentences so a keyword never spans one (commas and brackets don't
+// break it: "min(cost, NRV)" is "lower of cost and NRV").
+function analyse(text) {
+  const tokens = [];
+  let position = 0;
+
+  for (const sentence of normalizeText(text).split(/[.;!?]+/)) {
+    position += KEYWORD_GAP;
+    for (const clause of sentence.split(/[,:()]+/)) {
+      let sinceNegation = Infinity;
+      for (const word of clause.match(/[\p{L}\p{N}']+/gu) || []) {
+        if (NEGATIONS.has(word)) {
+          sinceNegation = 0;
+          continue;
+        }
+        sinceNegation++;
+        if (STOPWORDS.has(word)) continue;
+
+        const stemmed = stem(word.replace(/'/g, ""));
+        tokens.push({
+          ids: new Set([stemmed, ...(GROUPS_BY_WORD.get(stemmed) || [])]),
+          negated: sinceNegation <= NEGATION_WINDOW,
+          position: position++,
+        });
+      }
+    }
+  }
+  return tokens;
+}
+
+// "found" | "negated" | "missing" for one expected keyword in an analysed
+// answer. A keyword that is itself negative ("not affected") needs the
+// negation in the answer too.
+function findKeyword(keyword, answerTokens) {
+  const wanted = analyse(keyword);
+  if (!wanted.length) return "missing";
+
+  let status = "missing";
+  // Follow every run of answer words that spells the keyword out in order
+  const walk = (i, k, agrees) => {
+    const token = answerTokens[k];
+    if (![...wanted[i].ids].some(id => token.ids.has(id))) return;
+    agrees = agrees && token.negated === wanted[i].negated;
+
+    if (i === wanted.length - 1) {
+      if (agrees) status = "found";
+      else if (status === "missing") status = "negated";
+      return;
+    }
+    for (let next = k + 1; next < answerTokens.length && answerTokens[next].position - token.position <= KEYWORD_GAP; next++) {
+      walk(i + 1, next, agrees);
+    }
+  };
+
+  answerTokens.forEach((_, k) => walk(0, k, true));
+  return status;
+}
+
+/**
+ * Parse a typed number: "37,000", "£37k", "$4.8m", "1.2 million", "(500)", "-3.5%".
+ * Returns null when there is no number.
+ */
+export function parseAnswerNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+
+  let text = String(value ?? "").trim().toLowerCase();
+  // "2019: 37,000" or "profit = 37k": the answer is what follows the label
+  const labelled = text.match(/[:=]\s*([^:=]*\d[^:=]*)$/);
+  if (labelled) text = labelled[1];
+  text = text.replace(/[,\s](?=\d{3}\b)/g, "");
+  const match = text.match(/(\()?\s*(-)?\s*[£$€₦]?\s*(-)?(\d+(?:\.\d+)?|\.\d+)(?:\s*(k|m|bn|thousand|million|billion)\b)?/);
+  if (!match) return null;
+
+  const scale = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9 }[match[5]] || 1;
+  const negative = Boolean(match[2] || match[3] || (match[1] && text.includes(")")));
+  const number = Number(match[4]) * scale;
+  return negative ? -number : number;
+}
+
+function result(credit, explanation, extra = {}) {
+  return { credit, isCorrect: credit === 1, explanation, ...extra };
+}
+
+function gradeWritten(task, answer) {
+  const keywords = (task.expected_keywords || []).map(String).filter(Boolean);
+  if (!keywords.length) return result(0, "This task has no marking keywords.");
+
+  const required = Math.min(keywords.length, Math.max(1, parseInt(task.min_keywords, 10) || keywords.length));
+  const tokens = analyse(answer);
+  const status = keywords.map(kw => findKeyword(kw, tokens));
+
+  const matched = keywords.filter((_, i) => status[i] === "found");
+  const negated = keywords.filter((_, i) => status[i] === "negated");
+  const missing = keywords.filter((_, i) => status[i] !== "found");
+  const credit = Math.round(Math.min(1, matched.length / required) * 100) / 100;
+
+  const parts = [
+    required === keywords.length
+      ? `Covered ${matched.length} of ${keywords.length} key points`
+      : `Covered ${matched.length} key point${matched.length === 1 ? "" : "s"}; ${required} needed`,
+  ];
+  if (matched.length) parts.push(`found: ${matched.join(", ")}`);
+  if (negated.length) parts.push(`said the opposite of: ${negated.join(", ")}`);
+  if (credit < 1 && missing.length) parts.push(`look for: ${missing.filter(k => !negated.includes(k)).join(", ") || negated.join(", ")}`);
+
+  return result(credit, `${parts.join("; ")}.`, { matched, missing });
+}
+
+function gradeNumber(task, answer) {
+  const expected = parseAnswerNumber(task.answer ?? task.correct);
+  const given = parseAnswerNumber(answer);
+  if (expected === null) return result(0, "This task has no numeric answer.");
+  if (given === null) return result(0, "No number found in the answer.");
+
+  const diff = Math.abs(given - expected);
+  const tolerance = Math.max(Number(task.tolerance) || 0, 1e-9 * Math.max(1, Math.abs(expected)));
+  if (diff <= tolerance) {
+    return result(1, diff > 1e-9 * Math.max(1, Math.abs(expected)) ? `Within the allowed tolerance of ±${task.tolerance}.` : "Exact.");
+  }
+  if (expected !== 0 && diff / Math.abs(expected) <= NEAR_MISS_RATIO) {
+    return result(NEAR_MISS_CREDIT, `Close: ${given} is within ${NEAR_MISS_RATIO * 100}% of the answer. Check your rounding.`);
+  }
+  if (given === -expected) return result(0, "Right size, wrong sign.");
+  return result(0, `${given} is not the answer.`);
+}
+
+function sameText(a, b) {
+  const clean = text => analyse(text).map(t => [...t.ids][0]).join(" ");
+  return clean(a) === clean(b) && clean(a) !== "";
+}
+
+/**
+ * Grade one task. `answer` is what the learner typed or picked (an option
+ * index for choice tasks, "true"/"false" for true_false).
+ * Returns { credit: 0–1, isCorrect, explanation, matched?, missing? }.
+ */
+export function gradeTask(task, answer) {
+  const blank = answer === undefined || answer === null || String(answer).trim() === "";
+  if (blank) return result(0, "No answer given.");
+
+  switch (task.input_type) {
+    case "choice": {
+      const correct = Number(task.correct ?? task.answer);
+      return Number(answer) === correct ? result(1, "Correct option.") : result(0, "A different option was correct.");
+    }
+    case "true_false": {
+      const correct = String(task.answer ?? task.correct).toLowerCase() === "true";
+      return (String(answer).toLowerCase() === "true") === correct
+        ? result(1, `The statement is ${correct}.`)
+        : result(0, `The statement is ${correct}.`);
+    }
+    case "fill_blank": {
+      const accepted = [task.answer, ...(task.accepted_answers || [])].filter(a => a !== undefined && a !== null);
+      return accepted.some(a => sameText(a, answer))
+        ? result(1, "Matches an accepted answer.")
+        : result(0, `Expected ${accepted.map(a => `"${a}"`).join(" or ")}.`);
+    }
+    case "number":
+      return gradeNumber(task, answer);
+    case "written":
+      return gradeWritten(task, answer);
+    default:
+      if (task.expected_keywords) return gradeWritten(task, answer);
+      return sameText(task.answer ?? task.correct, answer)
+        ? result(1, "Matches the answer.")
+        : result(0, "Does not match the answer.");
+  }
+}
+
+/**
+ * Grade a list of tasks against a parallel list of answers.
+ * Returns { results, score, total, percentage } where score is the sum of credits.
+ */
+export function gradeTasks(tasks, answers) {
+  const results = tasks.map((task, i) => gradeTask(task, answers[i]));
+  const score = Math.round(results.reduce((sum, r) => sum + r.credit, 0) * 100) / 100;
+  return {
+    results,
+    score,
+    total: tasks.length,
+    percentage: tasks.length ? Math.round((score / tasks.length) * 100) : 0,
+  };
+}
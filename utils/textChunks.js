@@ -0,0 +1,144 @@
+// utils/textChunks.js
+// Splits long documents into prompt-sized chunks for the AI tasks.
+// Text is split on headings first and then on paragraphs; sentences are only
+// split when a paragraph is too long on its own. Each chunk remembers the
+// section (heading) it came from so quiz questions can be tagged with it.
+
+// ~1500 tokens of English per chunk, leaving room for the prompt and the answer
+export const CHUNK_CHARS = parseInt(process.env.LLM_CHUNK_CHARS || "6000", 10);
+
+// Sections shorter than this (a caption, a stray all-caps line taken for a
+// heading) are folded into the one before instead of becoming their own request
+const MIN_SECTION_CHARS = 400;
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+(.+)$/,                                                       // # Markdown
+  /^((?:chapter|unit|section|lesson|topic|part|module)\s+[\w.-]+\b.{0,70})$/i, // Chapter 3: Plants
+  /^(\d+(?:\.\d+)*\.?\s+[A-Z][^.!?]{2,60})$/,                               // 2.1 Photosynthesis
+  /^([A-Z][A-Z0-9 ,:&'()-]{2,59})$/,                                        // WHAT PLANTS NEED
+];
+
+function headingOf(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 80) return null;
+
+  for (const pattern of HEADING_PATTERNS) {
+    const match = trimmed.match(pattern);
+    if (match) return match[1].replace(/[:\s]+$/, "").trim();
+  }
+  return null;
+}
+
+/**
+ * Split text into sections at headings. Returns [{ title, text }] where the
+ * heading line itself is not part of `text`; text before the first heading has
+ * a null title.
+ */
+export function splitSections(text) {
+  const sections = [];
+  let current = { title: null, lines: [] };
+
+  for (const line of String(text || "").split("\n")) {
+    const title = headingOf(line);
+    if (title) {
+      sections.push(current);
+      current = { title, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  const result = [];
+  for (const { title, lines } of sections) {
+    const body = lines.join("\n").trim();
+    if (!body) continue;
+
+    const previous = result[result.length - 1];
+    if (previous && body.length < MIN_SECTION_CHARS) {
+      previous.text += `\n\n${title ? `${title}\n` : ""}${body}`;
+    } else {
+      result.push({ title, text: body });
+    }
+  }
+  return result;
+}
+
+// Greedily pack pieces into strings of at most maxChars
+function pack(pieces, separator, maxChars) {
+  const packed = [];
+  let current = "";
+
+  for (const piece of pieces) {
+    if (current && current.length + separator.length + piece.length > maxChars) {
+      packed.push(current);
+      current = piece;
+    } else {
+      current = current ? current + separator + piece : piece;
+    }
+  }
+  if (current) packed.push(current);
+  return packed;
+}
+
+function splitLongParagraph(paragraph, maxChars) {
+  const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph];
+  const pieces = sentences.flatMap(sentence => {
+    const s = sentence.trim();
+    if (s.length <= maxChars) return [s];
+    // One enormous "sentence" (usually OCR without punctuation): cut it by length
+    const cuts = [];
+    for (let i = 0; i < s.length; i += maxChars) cuts.push(s.slice(i, i + maxChars));
+    return cuts;
+  });
+  return pack(pieces.filter(Boolean), " ", maxChars);
+}
+
+/**
+ * Split text on blank lines into pieces of at most maxChars, keeping every
+ * line (headings included) as it is. Returns an array of strings.
+ */
+export function chunkParagraphs(text, { maxChars = CHUNK_CHARS } = {}) {
+  const paragraphs = String(text || "")
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .flatMap(p => (p.length > maxChars ? splitLongParagraph(p, maxChars) : [p]));
+
+  return pack(paragraphs, "\n\n", maxChars);
+}
+
+/**
+ * Chunk text for the model. Returns [{ section, text }] in document order;
+ * a long section becomes several chunks with the same section title.
+ */
+export function chunkText(text, { maxChars = CHUNK_CHARS } = {}) {
+  return splitSections(text).flatMap(({ title, text: body }) => {
+    if (body.length <= maxChars) return [{ section: title, text: body }];
+    return chunkParagraphs(body, { maxChars }).map(part => ({ section: title, text: part }));
+  });
+}
+
+/**
+ * Share `total` items across chunks in proportion to their length (largest
+ * remainder method). Returns an array of counts in chunk order.
+ */
+export function allocateByLength(chunks, total) {
+  const lengths = chunks.map(c => c.text.length);
+  const sum = lengths.reduce((a, b) => a + b, 0) || 1;
+
+  const exact = lengths.map(len => (len / sum) * total);
+  const counts = exact.map(Math.floor);
+  let left = total - counts.reduce((a, b) => a + b, 0);
+
+  const byRemainder = exact
+    .map((value, i) => ({ i, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { i } of byRemainder) {
+    if (left <= 0) break;
+    counts[i]++;
+    left--;
+  }
+  return counts;
+}
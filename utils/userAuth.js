@@ -0,0 +1,48 @@
+// utils/userAuth.js
+// Firebase ID-token checks for the API routes. Every refusal is the same 401,
+// { error, code: "auth_required" }, which the app's aiFetch recognises; only
+// the message differs. A verified caller is left on req.user = { uid }.
+import { auth } from "../config/firebaseAdmin.js";
+
+/**
+ * Resolve to the caller's uid, or send the 401 and resolve to null. `message`
+ * is shown when no token was sent.
+ */
+export async function verifyUser(req, res, message = "Sign in to continue") {
+  // An earlier middleware may already have verified the token
+  if (req.user?.uid) return req.user.uid;
+
+  const match = (req.headers.authorization || "").match(/^Bearer (.+)$/);
+  if (!match) {
+    res.status(401).json({ error: message, code: "auth_required" });
+    return null;
+  }
+
+  try {
+    const { uid } = await auth.verifyIdToken(match[1]);
+    req.user = { uid };
+    return uid;
+  } catch (err) {
+    console.error("Token verify failed:", err);
+    res.status(401).json({ error: "Invalid auth token", code: "auth_required" });
+    return null;
+  }
+}
+
+/**
+ * Express middleware for routes that need a signed-in user.
+ */
+export function requireSignIn(message) {
+  return async (req, res, next) => {
+    if (await verifyUser(req, res, message)) next();
+  };
+}
+
+/**
+ * Express middleware for routes that work without an account: sets req.user
+ * when a token is sent, and refuses only a token that doesn't verify.
+ */
+export async function optionalUser(req, res, next) {
+  if (!/^Bearer /.test(req.headers.authorization || "")) return next();
+  if (await verifyUser(req, res)) next();
+}